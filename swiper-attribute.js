@@ -69,6 +69,13 @@
     pagination: '[data-swiper="pagination"]',
     navPrev: '[data-swiper="nav-prev"]',
     navNext: '[data-swiper="nav-next"]',
+    scrollbar: '[data-swiper="scrollbar"]',
+    current: '[data-swiper="current"]',
+    total: '[data-swiper="total"]',
+    progress: '[data-swiper="progress"]',
+    playToggle: '[data-swiper="play-toggle"]',
+    bulletTemplate: '[data-swiper="bullet-template"]',
+    empty: '[data-swiper="empty"]',
   };
 
   /**
@@ -81,6 +88,7 @@
     pagination: 'swiper-pagination',
     navPrev: 'swiper-button-prev',
     navNext: 'swiper-button-next',
+    scrollbar: 'swiper-scrollbar',
   };
 
   /**
@@ -88,11 +96,236 @@
    */
   const CONFIG_ATTR_PREFIX = 'data-swiper-';
 
+  /**
+   * Separator for nested option paths in attribute names
+   * Example: data-swiper-autoplay--delay="5000" → { autoplay: { delay: 5000 } }
+   */
+  const NESTED_OPTION_SEPARATOR = '--';
+
   /**
    * Attribute to mark initialized components (prevents double initialization)
    */
   const INITIALIZED_ATTR = 'data-swiper-initialized';
 
+  /**
+   * Attributes used to link sliders together (thumbs gallery, controller sync)
+   * Example: data-swiper-id="gallery" + data-swiper-thumbs-for="gallery"
+   */
+  const LINK_ATTRS = {
+    id: 'data-swiper-id',
+    thumbsFor: 'data-swiper-thumbs-for',
+    controls: 'data-swiper-controls',
+  };
+
+  /**
+   * Attribute to enable/disable the slider, supports breakpoint suffixes
+   * Example: data-swiper-enabled-desktop="false" (slider on mobile/tablet only)
+   */
+  const ENABLED_ATTR = 'data-swiper-enabled';
+
+  /**
+   * Attribute referencing one or more named presets (space-separated)
+   * Example: data-swiper-preset="base cards"
+   * Also marks <script type="application/json"> blocks that define a preset.
+   */
+  const PRESET_ATTR = 'data-swiper-preset';
+
+  /**
+   * Attribute enabling debug logging and configuration validation
+   * On <html>/<body> for the whole page, or on a single component
+   */
+  const DEBUG_ATTR = 'data-swiper-debug';
+
+  /**
+   * Initialization mode: "eager" (default) or "visible" (lazy, when scrolled
+   * near the viewport). On a component or on <html>/<body> for the whole page.
+   */
+  const INIT_MODE_ATTR = 'data-swiper-init';
+
+  /**
+   * IntersectionObserver root margin for lazy initialization
+   * Example: data-swiper-init-margin="400px 0px"
+   */
+  const INIT_MARGIN_ATTR = 'data-swiper-init-margin';
+
+  /**
+   * Default distance from the viewport at which lazy sliders initialize
+   */
+  const DEFAULT_INIT_MARGIN = '200px 0px';
+
+  /**
+   * Prefix for localizable accessibility labels
+   * Example: data-swiper-a11y-next-label="Nächste Folie"
+   * Also read from <html> or <body> for page-wide translations.
+   */
+  const A11Y_ATTR_PREFIX = 'data-swiper-a11y-';
+
+  /**
+   * Reduced-motion handling: set to "ignore" on a component (or <html>/<body>)
+   * to keep autoplay and transitions when the visitor prefers reduced motion
+   */
+  const REDUCED_MOTION_ATTR = 'data-swiper-reduced-motion';
+
+  /**
+   * Media handling in slides (videos, YouTube/Vimeo embeds)
+   * - "pause" (default): pause media when its slide becomes inactive
+   * - "autoplay": also start media when its slide becomes active
+   * - "off": leave media alone
+   */
+  const MEDIA_ATTR = 'data-swiper-media';
+
+  /**
+   * Behavior in the Webflow Editor and Designer canvas
+   * - "static" (default): don't initialize; show slides as a scrollable row
+   * - "init": initialize as on the live site
+   * Set on a component or on <html>/<body>.
+   */
+  const EDITOR_ATTR = 'data-swiper-editor';
+
+  /**
+   * State of a component that isn't a running slider, for styling
+   * Example: data-swiper-state="static" in the Webflow Editor
+   */
+  const STATE_ATTR = 'data-swiper-state';
+
+  /**
+   * Reason a component failed to initialize (with data-swiper-state="error",
+   * or "empty" when there are no slides)
+   * no-swiper, no-container, no-wrapper, empty or init-failed
+   */
+  const ERROR_ATTR = 'data-swiper-error';
+
+  /**
+   * Loop mode with fewer slides than it needs
+   * - "disable" (default): turn loop off at breakpoints without enough slides
+   * - "duplicate": copy the slides until loop has enough
+   * Set on a component or on <html>/<body>.
+   */
+  const LOOP_FILL_ATTR = 'data-swiper-loop-fill';
+
+  /**
+   * Too-few-slides handling: set to "ignore" on a component (or <html>/<body>)
+   * to keep loop as configured and always show the controls
+   */
+  const FEW_SLIDES_ATTR = 'data-swiper-few-slides';
+
+  /**
+   * Marks slides copied by the script, so they aren't treated as CMS items
+   */
+  const CLONE_ATTR = 'data-swiper-clone';
+
+  /**
+   * Special slider modes
+   * Example: data-swiper-mode="marquee" (continuous ticker)
+   */
+  const MODE_ATTR = 'data-swiper-mode';
+
+  /**
+   * Marquee options
+   * - speed: pixels per second (default 50)
+   * - direction: "left" (default) or "right"; "up" or "down" in vertical sliders
+   * - pause: "false" keeps moving on hover and focus
+   */
+  const MARQUEE_ATTRS = {
+    speed: 'data-swiper-marquee-speed',
+    direction: 'data-swiper-marquee-direction',
+    pause: 'data-swiper-marquee-pause',
+  };
+
+  /**
+   * Query string (or hash) parameter holding the active slide, for shareable links
+   * Example: data-swiper-url-param="plan" → ?plan=pro or ?plan=2
+   */
+  const URL_PARAM_ATTR = 'data-swiper-url-param';
+
+  /**
+   * Restores the last viewed slide on return visits, keyed by data-swiper-id
+   * - "session": for the browser tab (sessionStorage)
+   * - "local": across visits (localStorage)
+   */
+  const REMEMBER_ATTR = 'data-swiper-remember';
+
+  /**
+   * Stable slide name for links and storage, e.g. the CMS item slug
+   * Example: data-swiper-slide-key="pro"
+   */
+  const SLIDE_KEY_ATTR = 'data-swiper-slide-key';
+
+  /**
+   * data-swiper-* attributes used by the system itself.
+   * These are never passed to Swiper as configuration options.
+   */
+  const RESERVED_ATTRS = [
+    'data-swiper',
+    INITIALIZED_ATTR,
+    LINK_ATTRS.id,
+    LINK_ATTRS.thumbsFor,
+    LINK_ATTRS.controls,
+    ENABLED_ATTR,
+    DEBUG_ATTR,
+    PRESET_ATTR,
+    INIT_MODE_ATTR,
+    INIT_MARGIN_ATTR,
+    REDUCED_MOTION_ATTR,
+    MEDIA_ATTR,
+    EDITOR_ATTR,
+    STATE_ATTR,
+    ERROR_ATTR,
+    LOOP_FILL_ATTR,
+    FEW_SLIDES_ATTR,
+    MODE_ATTR,
+    MARQUEE_ATTRS.speed,
+    MARQUEE_ATTRS.direction,
+    MARQUEE_ATTRS.pause,
+    URL_PARAM_ATTR,
+    REMEMBER_ATTR,
+  ];
+
+  /**
+   * Attributes for control elements (play toggles, go-to links)
+   * - goto: 1-based slide number to jump to
+   * - target: data-swiper-id of the slider to control, from anywhere on the page
+   */
+  const CONTROL_ATTRS = {
+    goto: 'data-swiper-goto',
+    target: 'data-swiper-target',
+  };
+
+  /**
+   * State classes kept in sync on control elements
+   * Style them as combo classes in Webflow
+   */
+  const CONTROL_STATE_CLASSES = {
+    active: 'is-active',
+    playing: 'is-playing',
+  };
+
+  /**
+   * State attributes mirroring CONTROL_STATE_CLASSES
+   * Set to "true" while the state applies, removed otherwise
+   */
+  const CONTROL_STATE_ATTRS = {
+    active: 'data-swiper-active',
+    playing: 'data-swiper-playing',
+  };
+
+  /**
+   * Prefix for attributes binding named global functions to Swiper events
+   * Example: data-swiper-on-slide-change="myGlobalFn" → on.slideChange
+   */
+  const EVENT_HOOK_ATTR_PREFIX = 'data-swiper-on-';
+
+  /**
+   * Swiper events re-dispatched as bubbling DOM events on the component
+   * swiper:init and swiper:destroy are dispatched by the lifecycle functions,
+   * swiper:ready on the document once init() has completed.
+   */
+  const DOM_EVENTS = {
+    slideChange: 'swiper:slidechange',
+    reachBeginning: 'swiper:reachbeginning',
+    reachEnd: 'swiper:reachend',
+  };
+
   /**
    * Webflow's standard breakpoints (mobile-first approach)
    * These match Webflow Designer's responsive breakpoints
@@ -101,14 +334,63 @@
     mobileLandscape: 480,  // 480px and up = Mobile Landscape
     tablet: 768,           // 768px and up = Tablet
     desktop: 992,          // 992px and up = Desktop
+    desktopLarge: 1280,    // 1280px and up = Desktop Large
+    desktopXl: 1440,       // 1440px and up = Desktop XL
+    desktopXxl: 1920,      // 1920px and up = Desktop XXL
     // Mobile Portrait is 0-479px (default/base config)
   };
 
   /**
-   * Breakpoint suffixes that can be used in attributes
+   * Breakpoint suffixes that can be used in attributes, mapped to their
+   * minimum viewport width. A width of 0 marks the base (no media query).
    * Example: data-swiper-slides-per-view-tablet="2"
+   *
+   * Extend or override with WebflowSwiper.configure({ breakpoints }) or
+   * <html data-swiper-breakpoint-map='{"wide": 1600}'>.
+   */
+  const DEFAULT_BREAKPOINT_MAP = {
+    'mobile-portrait': 0,
+    'mobile-landscape': WEBFLOW_BREAKPOINTS.mobileLandscape,
+    'tablet': WEBFLOW_BREAKPOINTS.tablet,
+    'desktop': WEBFLOW_BREAKPOINTS.desktop,
+    'desktop-large': WEBFLOW_BREAKPOINTS.desktopLarge,
+    'desktop-xl': WEBFLOW_BREAKPOINTS.desktopXl,
+    'desktop-xxl': WEBFLOW_BREAKPOINTS.desktopXxl,
+  };
+
+  /**
+   * Global attribute (on <html> or <body>) declaring a custom breakpoint map
+   */
+  const BREAKPOINT_MAP_ATTR = 'data-swiper-breakpoint-map';
+
+  /**
+   * Active breakpoint map, shared by configuration parsing and breakpoint toggles
+   */
+  let breakpointMap = { ...DEFAULT_BREAKPOINT_MAP };
+
+  /**
+   * Set once init() has run (auto-initialization on DOM ready)
+   */
+  let systemInitialized = false;
+
+  /**
+   * Page-wide debug mode: info logs and validation for every component
+   * Enabled by data-swiper-debug on <html>/<body> or configure({ debug: true })
    */
-  const BREAKPOINT_SUFFIXES = ['mobile-portrait', 'mobile-landscape', 'tablet', 'desktop'];
+  let debugMode = false;
+
+  /**
+   * Page-wide initialization mode and lazy root margin
+   * Set by data-swiper-init / data-swiper-init-margin on <html>/<body>
+   * or configure({ init, initMargin })
+   */
+  let globalInitMode = 'eager';
+  let globalInitMargin = DEFAULT_INIT_MARGIN;
+
+  /**
+   * Set while the page is open in the Webflow Editor or Designer canvas
+   */
+  let editorActive = false;
 
   // ============================================================================
   // UTILITY FUNCTIONS
@@ -122,35 +404,212 @@
     return str.replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
   }
 
+  /**
+   * Returns the breakpoint suffixes of the active map
+   * Longest first, so "desktop-xl" is matched before a custom "xl"
+   */
+  function getBreakpointSuffixes() {
+    return Object.keys(breakpointMap).sort((a, b) => b.length - a.length);
+  }
+
+  /**
+   * Returns the breakpoint suffixes of the active map, smallest width first
+   */
+  function getBreakpointsAscending() {
+    return Object.keys(breakpointMap).sort((a, b) => breakpointMap[a] - breakpointMap[b]);
+  }
+
+  /**
+   * Finds the breakpoint suffix of an attribute name
+   * Example: "data-swiper-slides-per-view-desktop-large" → "desktop-large"
+   *
+   * @returns {string|null} Matching suffix or null
+   */
+  function getBreakpointSuffix(attrName) {
+    return getBreakpointSuffixes().find(suffix => attrName.endsWith(`-${suffix}`)) || null;
+  }
+
+  /**
+   * Removes a breakpoint suffix from an attribute name, if present
+   * Example: "data-swiper-enabled-desktop" → "data-swiper-enabled"
+   */
+  function stripBreakpointSuffix(attrName) {
+    const suffix = getBreakpointSuffix(attrName);
+    return suffix ? attrName.slice(0, -(suffix.length + 1)) : attrName;
+  }
+
+  /**
+   * Merges a custom breakpoint map into the active map
+   * Invalid entries are reported and ignored.
+   *
+   * @param {Object} customMap - Suffix → minimum width in px
+   *   Example: { "wide": 1600, "tablet": 800 }
+   */
+  function setBreakpointMap(customMap) {
+    if (!isObject(customMap)) {
+      log('Breakpoint map must be an object of suffix → min-width pairs', 'warn', customMap);
+      return;
+    }
+
+    const nextMap = { ...breakpointMap };
+
+    Object.keys(customMap).forEach(suffix => {
+      const minWidth = Number(customMap[suffix]);
+
+      if (!/^[a-z0-9]+(-[a-z0-9]+)*$/.test(suffix) || !Number.isFinite(minWidth) || minWidth < 0) {
+        log(`Ignoring invalid breakpoint "${suffix}"`, 'warn', customMap[suffix]);
+        return;
+      }
+
+      nextMap[suffix] = minWidth;
+    });
+
+    breakpointMap = nextMap;
+    log('Breakpoint map updated', 'info', breakpointMap);
+  }
+
+  /**
+   * Reads a page-wide setting declared on <html> or <body>
+   *
+   * @param {string} attrName - Attribute name
+   * @returns {string|null} Attribute value, or null if not set
+   */
+  function getGlobalAttribute(attrName) {
+    const host = [document.documentElement, document.body]
+      .find(element => element && element.hasAttribute(attrName));
+
+    return host ? host.getAttribute(attrName) : null;
+  }
+
+  /**
+   * Reads a custom breakpoint map declared on <html> or <body>
+   * Example: <html data-swiper-breakpoint-map='{"wide": 1600}'>
+   */
+  function readGlobalBreakpointMap() {
+    const value = getGlobalAttribute(BREAKPOINT_MAP_ATTR);
+    if (value === null) return;
+
+    const customMap = safeJSONParse(value);
+    if (customMap) {
+      setBreakpointMap(customMap);
+    }
+  }
+
+  /**
+   * Converts an attribute name (without prefix/suffix) to a config key path
+   * Example: "pagination--dynamic-bullets" → ["pagination", "dynamicBullets"]
+   */
+  function toConfigPath(name) {
+    return name.split(NESTED_OPTION_SEPARATOR).filter(Boolean).map(kebabToCamel);
+  }
+
+  /**
+   * Sets a value at a key path, creating intermediate objects as needed
+   */
+  function setNestedValue(target, path, value) {
+    let node = target;
+
+    path.slice(0, -1).forEach(key => {
+      if (!isObject(node[key])) {
+        node[key] = {};
+      }
+      node = node[key];
+    });
+
+    node[path[path.length - 1]] = value;
+  }
+
+  /**
+   * Merges options built from nested attributes into a config object
+   * Nested values deep-merge with JSON values for the same option, and
+   * replace a plain `true` (e.g. autoplay="true" + autoplay--delay="5000").
+   * An explicit `false` wins, so the option stays disabled.
+   *
+   * @param {Object} config - Config built from flat attributes (mutated)
+   * @param {Object} nestedOptions - Options built from nested attributes
+   */
+  function applyNestedOptions(config, nestedOptions) {
+    Object.keys(nestedOptions).forEach(key => {
+      if (config[key] === false) return;
+
+      config[key] = isObject(config[key])
+        ? deepMerge(config[key], nestedOptions[key])
+        : nestedOptions[key];
+    });
+  }
+
+  /**
+   * Checks if an attribute should be parsed as a Swiper configuration option
+   */
+  function isConfigAttribute(attrName) {
+    return attrName.startsWith(CONFIG_ATTR_PREFIX) &&
+      !attrName.startsWith(EVENT_HOOK_ATTR_PREFIX) &&
+      !isA11yLabelAttribute(attrName) &&
+      !RESERVED_ATTRS.includes(attrName) &&
+      !RESERVED_ATTRS.includes(stripBreakpointSuffix(attrName));
+  }
+
+  /**
+   * Checks if an attribute is an accessibility label (data-swiper-a11y-next-label)
+   * Nested a11y options (data-swiper-a11y--enabled) are regular configuration.
+   */
+  function isA11yLabelAttribute(attrName) {
+    return attrName.startsWith(A11Y_ATTR_PREFIX) &&
+      !attrName.startsWith(`${CONFIG_ATTR_PREFIX}a11y${NESTED_OPTION_SEPARATOR}`);
+  }
+
+  /**
+   * Splits a space-separated attribute value into a list of IDs
+   * Example: "gallery lightbox" → ["gallery", "lightbox"]
+   */
+  function parseIdList(value) {
+    return (value || '').split(/\s+/).filter(Boolean);
+  }
+
   /**
    * Safely parses JSON strings with error handling
+   * Pass silent = true when the caller reports the failure itself
    */
-  function safeJSONParse(str, fallback = null) {
+  function safeJSONParse(str, fallback = null, silent = false) {
     try {
       return JSON.parse(str);
     } catch (e) {
-      console.warn('[Swiper Attribute] Invalid JSON:', str, e);
+      if (!silent) {
+        console.warn('[Swiper Attribute] Invalid JSON:', str, e);
+      }
       return fallback;
     }
   }
 
+  /**
+   * Checks if a string looks like a JSON object or array
+   */
+  function looksLikeJSON(value) {
+    return (value.startsWith('{') && value.endsWith('}')) ||
+      (value.startsWith('[') && value.endsWith(']'));
+  }
+
   /**
    * Converts string values to appropriate types
-   * Handles: "true"/"false" → boolean, numbers → number, JSON → object
+   * Handles: "true"/"false" → boolean, "null" → null, numbers → number
+   * (including "-1" and ".5"), JSON → object
+   *
+   * Invalid JSON falls back to the raw string; debug mode reports it
+   * with the attribute name (see validateConfiguration).
    */
   function parseValue(value) {
-    // Handle boolean strings
+    // Handle boolean and null strings
     if (value === 'true') return true;
     if (value === 'false') return false;
+    if (value === 'null') return null;
 
     // Handle numbers
-    if (/^\d+$/.test(value)) return parseInt(value, 10);
-    if (/^\d+\.\d+$/.test(value)) return parseFloat(value);
+    if (/^-?\d+$/.test(value)) return parseInt(value, 10);
+    if (/^-?(\d+)?\.\d+$/.test(value)) return parseFloat(value);
 
     // Handle JSON objects/arrays
-    if ((value.startsWith('{') && value.endsWith('}')) ||
-        (value.startsWith('[') && value.endsWith(']'))) {
-      return safeJSONParse(value, value);
+    if (looksLikeJSON(value)) {
+      return safeJSONParse(value, value, true);
     }
 
     // Return as string
@@ -166,7 +625,7 @@
     if (isObject(target) && isObject(source)) {
       Object.keys(source).forEach(key => {
         if (isObject(source[key])) {
-          if (!(key in target)) {
+          if (!(key in target) || !isObject(target[key])) {
             output[key] = source[key];
           } else {
             output[key] = deepMerge(target[key], source[key]);
@@ -187,10 +646,51 @@
     return item && typeof item === 'object' && !Array.isArray(item);
   }
 
+  /**
+   * Listens for matchMedia changes
+   * Older Safari only has addListener(), and stubbed matchMedia
+   * implementations (e.g. Swiper's SSR window) have neither; those are skipped.
+   *
+   * @param {MediaQueryList} mediaQuery - The media query list
+   * @param {Function} listener - Change listener
+   */
+  function addMediaQueryListener(mediaQuery, listener) {
+    if (!mediaQuery) return;
+
+    if (typeof mediaQuery.addEventListener === 'function') {
+      mediaQuery.addEventListener('change', listener);
+    } else if (typeof mediaQuery.addListener === 'function') {
+      mediaQuery.addListener(listener);
+    }
+  }
+
+  /**
+   * Removes a listener added with addMediaQueryListener()
+   */
+  function removeMediaQueryListener(mediaQuery, listener) {
+    if (!mediaQuery) return;
+
+    if (typeof mediaQuery.removeEventListener === 'function') {
+      mediaQuery.removeEventListener('change', listener);
+    } else if (typeof mediaQuery.removeListener === 'function') {
+      mediaQuery.removeListener(listener);
+    }
+  }
+
   /**
    * Logs messages with consistent formatting
+   * Info and success messages are only shown in debug mode, page-wide or for
+   * the component they are about; warnings and errors are always shown.
+   *
+   * @param {string} message - Message text
+   * @param {string} [type='info'] - info, success, warn or error
+   * @param {*} [data] - Extra value logged with the message
+   * @param {HTMLElement} [component] - Component the message is about
    */
-  function log(message, type = 'info', data = null) {
+  function log(message, type = 'info', data = null, component = null) {
+    if ((type === 'info' || type === 'success') && !debugMode &&
+        !(component && isDebugEnabled(component))) return;
+
     const prefix = '[Swiper Attribute]';
     const styles = {
       info: 'color: #3b82f6',
@@ -215,9 +715,11 @@
    * - data-swiper-slides-per-view-desktop="3"
    * - data-swiper-slides-per-view-tablet="2"
    * - data-swiper-space-between-mobile-landscape="16"
+   * - data-swiper-grid--rows-tablet="2" (nested option)
    *
    * These are automatically converted to Swiper's breakpoints format using
-   * Webflow's standard breakpoint values (480, 768, 992).
+   * the active breakpoint map (Webflow's 480, 768, 992, 1280, 1440, 1920
+   * by default, plus any custom breakpoints).
    *
    * @param {HTMLElement} component - The component container element
    * @param {Object} baseConfig - Base configuration to use for defaults
@@ -225,11 +727,8 @@
    */
   function buildBreakpointsFromAttributes(component, baseConfig) {
     const breakpointsConfig = {};
-    const breakpointData = {
-      'mobile-landscape': {},
-      'tablet': {},
-      'desktop': {}
-    };
+    const breakpointData = {};
+    const breakpointNestedData = {};
 
     // Scan all attributes for breakpoint-specific settings
     const attributes = component.attributes;
@@ -238,52 +737,54 @@
       const attrName = attr.name;
       const attrValue = attr.value;
 
-      if (!attrName.startsWith(CONFIG_ATTR_PREFIX)) continue;
+      if (!isConfigAttribute(attrName)) continue;
 
       // Check if this attribute has a breakpoint suffix
-      let breakpointFound = null;
-      let configName = null;
+      const breakpointFound = getBreakpointSuffix(attrName);
 
-      for (const suffix of BREAKPOINT_SUFFIXES) {
-        if (attrName.endsWith(`-${suffix}`)) {
-          breakpointFound = suffix;
-          // Extract the config name without the breakpoint suffix
-          // Example: "data-swiper-slides-per-view-tablet" → "slides-per-view"
-          const withoutPrefix = attrName.replace(CONFIG_ATTR_PREFIX, '');
-          configName = withoutPrefix.replace(`-${suffix}`, '');
-          break;
-        }
-      }
+      // Extract the config name without the breakpoint suffix
+      // Example: "data-swiper-slides-per-view-tablet" → "slides-per-view"
+      const configName = breakpointFound
+        ? stripBreakpointSuffix(attrName).replace(CONFIG_ATTR_PREFIX, '')
+        : null;
 
       if (breakpointFound && configName) {
-        // Skip mobile-portrait as it's the default/base config
-        if (breakpointFound === 'mobile-portrait') {
+        // Skip base breakpoints (mobile-portrait) as they're the default config
+        if (breakpointMap[breakpointFound] === 0) {
           continue;
         }
 
-        // Convert to camelCase for Swiper config
-        const camelConfigName = kebabToCamel(configName);
+        // Convert to camelCase key path for Swiper config
+        const configPath = toConfigPath(configName);
+        if (configPath.length === 0) continue;
 
         // Parse the value
         const parsedValue = parseValue(attrValue);
 
         // Store in the appropriate breakpoint
-        breakpointData[breakpointFound][camelConfigName] = parsedValue;
+        breakpointData[breakpointFound] = breakpointData[breakpointFound] || {};
+        breakpointNestedData[breakpointFound] = breakpointNestedData[breakpointFound] || {};
+
+        if (configPath.length > 1) {
+          setNestedValue(breakpointNestedData[breakpointFound], configPath, parsedValue);
+        } else {
+          breakpointData[breakpointFound][configPath[0]] = parsedValue;
+        }
       }
     }
 
-    // Build final breakpoints object using Webflow's breakpoint values
-    if (Object.keys(breakpointData['mobile-landscape']).length > 0) {
-      breakpointsConfig[WEBFLOW_BREAKPOINTS.mobileLandscape] = breakpointData['mobile-landscape'];
-    }
+    Object.keys(breakpointData).forEach(suffix => {
+      applyNestedOptions(breakpointData[suffix], breakpointNestedData[suffix]);
+    });
 
-    if (Object.keys(breakpointData['tablet']).length > 0) {
-      breakpointsConfig[WEBFLOW_BREAKPOINTS.tablet] = breakpointData['tablet'];
-    }
+    // Build final breakpoints object using the breakpoint map's pixel values
+    // Suffixes sharing a width are merged, larger suffix order wins
+    getBreakpointsAscending().forEach(suffix => {
+      if (!breakpointData[suffix]) return;
 
-    if (Object.keys(breakpointData['desktop']).length > 0) {
-      breakpointsConfig[WEBFLOW_BREAKPOINTS.desktop] = breakpointData['desktop'];
-    }
+      const minWidth = breakpointMap[suffix];
+      breakpointsConfig[minWidth] = deepMerge(breakpointsConfig[minWidth] || {}, breakpointData[suffix]);
+    });
 
     return Object.keys(breakpointsConfig).length > 0 ? breakpointsConfig : null;
   }
@@ -294,13 +795,20 @@
 
   /**
    * Parses configuration from data attributes on the component element
-   * Supports any Swiper option via kebab-case attributes
+   * Supports any Swiper option via kebab-case attributes, and nested
+   * options via "--" (data-swiper-pagination--type="fraction")
+   *
+   * Configuration is layered: DEFAULT_CONFIG → mode defaults → preset(s)
+   * → element attributes
    *
    * @param {HTMLElement} component - The component container element
    * @returns {Object} Configuration object for Swiper
    */
   function parseConfiguration(component) {
-    const config = { ...DEFAULT_CONFIG };
+    const modeDefaults = component.getAttribute(MODE_ATTR) === 'marquee' ? MARQUEE_DEFAULTS : {};
+    const baseConfig = deepMerge(deepMerge(DEFAULT_CONFIG, modeDefaults), resolvePresetConfig(component));
+    const config = {};
+    const nestedOptions = {};
     const attributes = component.attributes;
 
     // Iterate through all attributes on the component
@@ -310,41 +818,50 @@
       const attrValue = attr.value;
 
       // Only process swiper configuration attributes
-      if (attrName.startsWith(CONFIG_ATTR_PREFIX) &&
-          attrName !== 'data-swiper' &&
-          attrName !== INITIALIZED_ATTR) {
+      if (isConfigAttribute(attrName)) {
 
         // Skip breakpoint-specific attributes (they're handled separately)
-        let isBreakpointAttr = false;
-        for (const suffix of BREAKPOINT_SUFFIXES) {
-          if (attrName.endsWith(`-${suffix}`)) {
-            isBreakpointAttr = true;
-            break;
-          }
-        }
-        if (isBreakpointAttr) continue;
+        if (getBreakpointSuffix(attrName)) continue;
 
-        // Convert attribute name to camelCase config key
-        // Example: "data-swiper-slides-per-view" → "slidesPerView"
-        const configKey = kebabToCamel(
+        // Convert attribute name to camelCase config key path
+        // Example: "data-swiper-slides-per-view" → ["slidesPerView"]
+        // Example: "data-swiper-autoplay--delay" → ["autoplay", "delay"]
+        const configPath = toConfigPath(
           attrName.replace(CONFIG_ATTR_PREFIX, '')
         );
+        if (configPath.length === 0) continue;
 
         // Parse and set the value
-        config[configKey] = parseValue(attrValue);
+        // Nested options are collected first so they merge regardless of attribute order
+        if (configPath.length > 1) {
+          setNestedValue(nestedOptions, configPath, parseValue(attrValue));
+        } else {
+          config[configPath[0]] = parseValue(attrValue);
+        }
       }
     }
 
+    applyNestedOptions(config, nestedOptions);
+
+    // Element attributes override defaults and presets
+    const mergedConfig = deepMerge(baseConfig, config);
+
+    // Bind named global functions from data-swiper-on-* attributes
+    const eventHooks = parseEventHooks(component);
+    if (Object.keys(eventHooks).length > 0) {
+      mergedConfig.on = mergeEventHandlers(mergedConfig.on, eventHooks);
+    }
+
     // Build breakpoints from Webflow-specific attributes
-    const breakpointsFromAttrs = buildBreakpointsFromAttributes(component, config);
+    const breakpointsFromAttrs = buildBreakpointsFromAttributes(component, mergedConfig);
     if (breakpointsFromAttrs) {
       // Merge with any existing breakpoints config
-      config.breakpoints = config.breakpoints
-        ? deepMerge(config.breakpoints, breakpointsFromAttrs)
+      mergedConfig.breakpoints = mergedConfig.breakpoints
+        ? deepMerge(mergedConfig.breakpoints, breakpointsFromAttrs)
         : breakpointsFromAttrs;
     }
 
-    return config;
+    return mergedConfig;
   }
 
   /**
@@ -364,36 +881,68 @@
    * @returns {Object} Object containing references to all Swiper elements
    */
   function prepareSwiperElements(component) {
-    const elements = {};
+    const elements = { component };
 
     // Find container (required)
-    elements.container = component.querySelector(SELECTORS.container);
+    // Elements are only looked up up to the nearest component, so sliders
+    // nested inside a slide never pick up each other's elements
+    elements.container = findOwnElements(component, SELECTORS.container)[0] || null;
     if (!elements.container) {
-      throw new Error('Swiper container element not found. Add [data-swiper="container"] to your slider element.');
+      throw createInitError('no-container', 'Swiper container element not found. Add [data-swiper="container"] to your slider element.');
     }
 
     // Find wrapper (required)
-    elements.wrapper = elements.container.querySelector(SELECTORS.wrapper);
+    elements.wrapper = findOwnElements(component, SELECTORS.wrapper)
+      .find(wrapper => elements.container.contains(wrapper)) || null;
     if (!elements.wrapper) {
-      throw new Error('Swiper wrapper element not found. Add [data-swiper="wrapper"] to your slides container.');
+      // Webflow renders an empty Collection List without its items wrapper
+      if (elements.container.querySelector('.w-dyn-empty')) {
+        throw createInitError('empty', 'The Collection List is empty, so there are no slides.');
+      }
+      throw createInitError('no-wrapper', 'Swiper wrapper element not found. Add [data-swiper="wrapper"] to your slides container.');
     }
 
     // Find slides (required)
-    elements.slides = elements.wrapper.querySelectorAll(SELECTORS.slide);
+    elements.slides = findSlides(elements.wrapper);
     if (elements.slides.length === 0) {
-      throw new Error('No slides found. Add [data-swiper="slide"] to your slide elements.');
+      throw createInitError('empty', 'No slides found. Add [data-swiper="slide"] to your slide elements.');
     }
 
-    // Find pagination (optional)
+    // Find pagination (optional, several allowed e.g. mobile/desktop variants)
     // Search within component scope to support both placement options:
     // - Child of container (nested inside)
     // - Child of component (sibling to container) - for CMS Collection Lists
-    elements.pagination = component.querySelector(SELECTORS.pagination);
+    elements.pagination = findOwnElements(component, SELECTORS.pagination);
+
+    // Find bullet templates designed inside each pagination (optional)
+    // Swiper renders bullets into the pagination, replacing its content,
+    // so the original content is kept to restore on destroy
+    elements.bulletTemplate = null;
+    elements.bulletTemplates = new Map();
+    elements.paginationContent = new Map();
+    elements.pagination.forEach(pagination => {
+      const template = pagination.querySelector(SELECTORS.bulletTemplate);
+      if (!template) return;
+
+      elements.bulletTemplate = elements.bulletTemplate || template;
+      elements.bulletTemplates.set(pagination, template);
+      elements.paginationContent.set(pagination, Array.from(pagination.childNodes));
+      template.remove();
+    });
+
+    // Find navigation buttons (optional, several allowed)
+    // Same flexible placement as pagination; buttons with data-swiper-target
+    // are external controls and handled by the control click listener
+    const isOwnNavigation = button => !button.hasAttribute(CONTROL_ATTRS.target);
+    elements.navPrev = findOwnElements(component, SELECTORS.navPrev).filter(isOwnNavigation);
+    elements.navNext = findOwnElements(component, SELECTORS.navNext).filter(isOwnNavigation);
 
-    // Find navigation buttons (optional)
-    // Same flexible placement as pagination
-    elements.navPrev = component.querySelector(SELECTORS.navPrev);
-    elements.navNext = component.querySelector(SELECTORS.navNext);
+    // Find scrollbar, counter and progress elements (optional)
+    // Same flexible placement as pagination; Swiper supports a single scrollbar
+    elements.scrollbar = findOwnElements(component, SELECTORS.scrollbar)[0] || null;
+    elements.current = findOwnElements(component, SELECTORS.current);
+    elements.total = findOwnElements(component, SELECTORS.total);
+    elements.progress = findOwnElements(component, SELECTORS.progress);
 
     // Add Swiper classes to elements
     elements.container.classList.add(SWIPER_CLASSES.container);
@@ -403,68 +952,220 @@
       slide.classList.add(SWIPER_CLASSES.slide);
     });
 
-    if (elements.pagination) {
-      elements.pagination.classList.add(SWIPER_CLASSES.pagination);
-    }
+    elements.pagination.forEach(pagination => {
+      pagination.classList.add(SWIPER_CLASSES.pagination);
+    });
 
-    if (elements.navPrev) {
-      elements.navPrev.classList.add(SWIPER_CLASSES.navPrev);
-    }
+    elements.navPrev.forEach(button => {
+      button.classList.add(SWIPER_CLASSES.navPrev);
+    });
 
-    if (elements.navNext) {
-      elements.navNext.classList.add(SWIPER_CLASSES.navNext);
+    elements.navNext.forEach(button => {
+      button.classList.add(SWIPER_CLASSES.navNext);
+    });
+
+    if (elements.scrollbar) {
+      elements.scrollbar.classList.add(SWIPER_CLASSES.scrollbar);
     }
 
+    // Slider this one is nested in, if any
+    elements.parentComponent = getParentComponent(component);
+
+    // Roles, labels and keyboard focus for assistive technology
+    applyA11yAttributes(component, elements);
+    elements.reducedMotion = prefersReducedMotion(component);
+
+    // Too-few-slides handling, unless data-swiper-few-slides="ignore"
+    elements.fewSlides = isFewSlidesEnabled(component);
+    elements.playToggle = findOwnElements(component, SELECTORS.playToggle);
+    elements.fillClones = [];
+
+    // Continuous ticker (data-swiper-mode="marquee")
+    elements.marquee = getMarqueeOptions(component);
+
     return elements;
   }
 
   /**
-   * Builds the final Swiper configuration by merging:
-   * 1. Default configuration
-   * 2. User-defined attributes
-   * 3. Dynamic pagination/navigation setup
-   *
-   * IMPORTANT: Uses element references instead of CSS selectors.
-   * This is critical for flexible element placement where pagination/navigation
-   * can be siblings to the container (for CMS setups) or children of it.
+   * Finds the elements matching a selector that belong to a component
+   * Elements inside a nested component belong to that component instead.
    *
-   * @param {Object} parsedConfig - Configuration from data attributes
-   * @param {Object} elements - References to Swiper elements
-   * @returns {Object} Final Swiper configuration
+   * @param {HTMLElement} component - The component element
+   * @param {string} selector - Role selector from SELECTORS
+   * @returns {HTMLElement[]} Matching elements in document order
    */
-  function buildSwiperConfig(parsedConfig, elements) {
-    const config = { ...parsedConfig };
+  function findOwnElements(component, selector) {
+    return Array.from(component.querySelectorAll(selector))
+      .filter(element => element.closest(SELECTORS.component) === component);
+  }
 
-    // Add pagination configuration if element exists
-    // Use element reference instead of selector to support flexible placement
-    if (elements.pagination) {
+  /**
+   * Finds the slide elements inside a wrapper
+   * Slides of a slider nested inside a slide and copies made by the
+   * script (data-swiper-clone) are skipped.
+   *
+   * @param {HTMLElement} wrapper - The [data-swiper="wrapper"] element
+   * @returns {HTMLElement[]} Slides in document order
+   */
+  function findSlides(wrapper) {
+    return Array.from(wrapper.querySelectorAll(SELECTORS.slide))
+      .filter(slide => slide.closest(SELECTORS.wrapper) === wrapper && !slide.hasAttribute(CLONE_ATTR));
+  }
+
+  /**
+   * Finds the component a component is nested in (inside one of its slides)
+   *
+   * @param {HTMLElement} component - The component element
+   * @returns {HTMLElement|null} Enclosing component
+   */
+  function getParentComponent(component) {
+    return component.parentElement ? component.parentElement.closest(SELECTORS.component) : null;
+  }
+
+  /**
+   * Reads a component's slide direction
+   * Uses the parsed configuration once initialized, the attribute before that.
+   *
+   * @param {HTMLElement} component - The component element
+   * @returns {string} 'horizontal' or 'vertical'
+   */
+  function getComponentDirection(component) {
+    if (component.swiperConfig && component.swiperConfig.direction) {
+      return component.swiperConfig.direction;
+    }
+
+    return component.getAttribute(`${CONFIG_ATTR_PREFIX}direction`) || 'horizontal';
+  }
+
+  /**
+   * Unwraps a single-element list; Swiper accepts both an element and an array
+   */
+  function toSwiperElement(list) {
+    return list.length === 1 ? list[0] : list;
+  }
+
+  /**
+   * Builds the final Swiper configuration by merging:
+   * 1. Default configuration
+   * 2. User-defined attributes
+   * 3. Dynamic pagination/navigation/scrollbar setup
+   *
+   * IMPORTANT: Uses element references instead of CSS selectors.
+   * This is critical for flexible element placement where pagination/navigation
+   * can be siblings to the container (for CMS setups) or children of it.
+   *
+   * @param {Object} parsedConfig - Configuration from data attributes
+   * @param {Object} elements - References to Swiper elements
+   * @param {Object} [links] - Linked Swiper instances from resolveLinkedSwipers()
+   * @returns {Object} Final Swiper configuration
+   */
+  function buildSwiperConfig(parsedConfig, elements, links = {}) {
+    const config = { ...parsedConfig };
+
+    // Add pagination configuration if element exists
+    // Use element reference instead of selector to support flexible placement
+    if (elements.pagination.length > 0) {
       config.pagination = deepMerge(
         {
-          el: elements.pagination, // Pass element directly, not selector
+          el: toSwiperElement(elements.pagination), // Pass elements directly, not selector
           clickable: true,
         },
         config.pagination || {}
       );
     }
 
+    // Render bullets from a template designed in Webflow
+    const paginationType = isObject(config.pagination) ? config.pagination.type : undefined;
+    if (elements.bulletTemplate && isObject(config.pagination) &&
+        (paginationType === undefined || paginationType === 'bullets') &&
+        !config.pagination.renderBullet) {
+      config.pagination.renderBullet = createBulletRenderer(elements, elements.bulletTemplate);
+      elements.bulletRenderer = config.pagination.renderBullet;
+    }
+
     // Add navigation configuration if elements exist
     // Use element references instead of selectors to support flexible placement
-    if (elements.navPrev && elements.navNext) {
+    if (elements.navPrev.length > 0 && elements.navNext.length > 0) {
       config.navigation = deepMerge(
         {
-          prevEl: elements.navPrev, // Pass element directly, not selector
-          nextEl: elements.navNext, // Pass element directly, not selector
+          prevEl: toSwiperElement(elements.navPrev), // Pass elements directly, not selector
+          nextEl: toSwiperElement(elements.navNext), // Pass elements directly, not selector
         },
         config.navigation || {}
       );
     }
 
+    // Add scrollbar configuration if element exists
+    if (elements.scrollbar) {
+      config.scrollbar = deepMerge(
+        {
+          el: elements.scrollbar, // Pass element directly, not selector
+          draggable: true,
+        },
+        config.scrollbar || {}
+      );
+    }
+
+    // Marquee mode: continuous linear movement driven by autoplay
+    if (elements.marquee) {
+      applyMarqueeConfig(config, elements.marquee);
+    }
+
     // Handle autoplay configuration
     // If autoplay is set to true, use default autoplay settings
-    if (config.autoplay === true) {
-      config.autoplay = {
-        delay: 3000,
-        disableOnInteraction: false,
+    // Objects (JSON or nested attributes) are merged over the same defaults
+    if (config.autoplay === true || isObject(config.autoplay)) {
+      config.autoplay = deepMerge(
+        {
+          delay: 3000,
+          disableOnInteraction: false,
+        },
+        isObject(config.autoplay) ? config.autoplay : {}
+      );
+    }
+
+    // Loop needs more slides than are visible; turn it off where there aren't enough
+    if (elements.fewSlides && hasLoop(config)) {
+      applyLoopLimits(config, getSlideCount(elements), elements.component);
+    }
+
+    // A slider inside a slide of another slider with the same direction needs
+    // nested mode, so swiping the inner slider doesn't also move the outer one
+    if (elements.parentComponent && config.nested === undefined &&
+        getComponentDirection(elements.parentComponent) === (config.direction || 'horizontal')) {
+      config.nested = true;
+    }
+
+    // Localized messages for Swiper's A11y module
+    // Explicit data-swiper-a11y--* options win over the label attributes
+    if (elements.a11yLabels && config.a11y !== false) {
+      config.a11y = {
+        ...getA11yMessages(elements.a11yLabels),
+        ...(isObject(config.a11y) ? config.a11y : {}),
+      };
+    }
+
+    // Visitors who prefer reduced motion get no autoplay and no transitions
+    if (elements.reducedMotion) {
+      applyReducedMotion(config);
+    }
+
+    // Thumbs sliders need slide progress to mark the active thumbnail
+    if (links.isThumbs && config.watchSlidesProgress === undefined) {
+      config.watchSlidesProgress = true;
+    }
+
+    // Attach an already initialized thumbs slider
+    // Instances are assigned directly; deepMerge would walk into the instance
+    if (links.thumbs) {
+      config.thumbs = { ...(isObject(config.thumbs) ? config.thumbs : {}), swiper: links.thumbs };
+    }
+
+    // Attach already initialized sliders controlled by this one
+    if (links.control && links.control.length > 0) {
+      config.controller = {
+        ...(isObject(config.controller) ? config.controller : {}),
+        control: links.control.length === 1 ? links.control[0] : links.control,
       };
     }
 
@@ -478,108 +1179,3715 @@
    * @returns {Swiper|null} Swiper instance or null if initialization fails
    */
   function initializeSwiperComponent(component) {
+    // Kept outside the try block to undo the DOM preparation if Swiper throws
+    let elements = null;
+    let swiperInstance = null;
+    // Only valid for this attempt; a skipped init parses again next time
+    const preparedConfig = takePreparedConfig(component);
+
     try {
       // Check if already initialized
       if (component.hasAttribute(INITIALIZED_ATTR)) {
-        log('Component already initialized, skipping.', 'warn');
+        log('Component already initialized, skipping.', 'info', null, component);
+        return null;
+      }
+
+      // Initializing directly (API, breakpoint toggle) replaces a pending lazy init
+      cancelLazyInit(component);
+
+      // Leave content editable in the Webflow Editor/Designer
+      if (editorActive && getEditorMode(component) === 'static') {
+        component.setAttribute(STATE_ATTR, 'static');
+        log('Webflow Editor detected, showing static slides.', 'info', null, component);
         return null;
       }
 
+      // Apply later data-swiper-* attribute changes to the live slider
+      observeComponentAttributes(component);
+
+      // Respect data-swiper-enabled for the current viewport
+      if (hasBreakpointToggle(component)) {
+        watchBreakpointToggle(component);
+
+        if (!isEnabledAtViewport(component)) {
+          clearPendingState(component);
+          log('Slider disabled at this breakpoint, skipping.', 'info', null, component);
+          return null;
+        }
+      }
+
       // Verify Swiper library is loaded
       if (typeof Swiper === 'undefined') {
-        throw new Error('SwiperJS library not found. Please include swiper-bundle.min.js before this script.');
+        throw createInitError('no-swiper', 'SwiperJS library not found. Please include swiper-bundle.min.js before this script.');
       }
 
       // Parse configuration from data attributes
-      const parsedConfig = parseConfiguration(component);
+      const parsedConfig = preparedConfig || parseConfiguration(component);
+      publishLayoutProperties(component, parsedConfig);
+
+      // Report typos, wrong value types and invalid JSON in debug mode;
+      // invalid JSON is a configuration error, so it's always reported
+      const debug = isDebugEnabled(component);
+      if (debug) {
+        validateConfiguration(component);
+      } else {
+        reportInvalidJSON(component);
+      }
 
       // Prepare elements and add Swiper classes
-      const elements = prepareSwiperElements(component);
+      elements = prepareSwiperElements(component);
+
+      // Copy slides until the marquee track is wider than the screen
+      if (elements.marquee) {
+        fillMarqueeSlides(elements, parsedConfig);
+      }
+
+      // Copy slides when loop needs more than the CMS list provides
+      if (elements.fewSlides && getLoopFillMode(component) === 'duplicate') {
+        fillLoopSlides(elements, parsedConfig);
+      }
+
+      // Resolve thumbs/controller sliders that are already initialized
+      const links = resolveLinkedSwipers(component);
 
       // Build final configuration
-      const swiperConfig = buildSwiperConfig(parsedConfig, elements);
+      const swiperConfig = buildSwiperConfig(parsedConfig, elements, links);
+
+      // Open the slide named in the URL or remembered from the last visit
+      const linkedSlide = getLinkedSlideIndex(component, elements);
+      if (linkedSlide !== null) {
+        swiperConfig.initialSlide = linkedSlide;
+      }
 
       // Log configuration for debugging
-      log('Initializing with config:', 'info', swiperConfig);
+      log('Initializing with config:', 'info', swiperConfig, component);
       if (swiperConfig.breakpoints) {
-        log('Breakpoints detected:', 'info', swiperConfig.breakpoints);
+        log('Breakpoints detected:', 'info', swiperConfig.breakpoints, component);
       }
 
       // Initialize Swiper
-      const swiperInstance = new Swiper(elements.container, swiperConfig);
+      swiperInstance = new Swiper(elements.container, swiperConfig);
+
+      // Report options whose module is missing from the loaded Swiper bundle
+      if (debug) {
+        // a11y messages are added to every slider; only check it when requested
+        validateModules(swiperInstance, { ...swiperConfig, a11y: parsedConfig.a11y });
+      }
 
       // Mark as initialized
       component.setAttribute(INITIALIZED_ATTR, 'true');
+      clearPendingState(component);
+      clearErrorState(component);
 
-      // Store instance reference on the component
+      // Store instance, element and configuration references on the component
       component.swiperInstance = swiperInstance;
+      component.swiperElements = elements;
+      component.swiperConfig = parsedConfig;
+
+      // Connect to linked sliders that were initialized before this one
+      connectLinkedSwipers(component);
+
+      // Let other scripts react to the slider lifecycle
+      bindDOMEvents(component, swiperInstance);
+      bindCounterElements(swiperInstance, elements);
+      bindControlElements(component, swiperInstance);
+      bindPaginationTemplates(swiperInstance, elements);
+      bindClonePagination(swiperInstance, elements);
+      bindBulletStates(swiperInstance, elements);
+      bindA11yKeyboard(swiperInstance, elements);
+      bindMediaManager(component, swiperInstance);
+      bindLoopClones(component, swiperInstance);
+      bindFewSlides(swiperInstance, elements);
+      bindMarquee(swiperInstance, elements);
+      bindDeepLink(component, swiperInstance, elements);
+
+      // Add to the live registry (resolves pending whenReady() promises)
+      // once the slider is fully set up
+      registerInstance(component, swiperInstance);
+      dispatchSwiperEvent(component, 'swiper:init', getEventDetail(component, swiperInstance));
 
       log('Swiper initialized successfully', 'success', {
         config: swiperConfig,
         slideCount: elements.slides.length,
-      });
+      }, component);
 
       return swiperInstance;
 
     } catch (error) {
-      log(`Initialization failed: ${error.message}`, 'error', error);
+      // A later setup step failed: take down the instance as well, so the
+      // registry never hands out a slider without its prepared elements
+      if (swiperInstance) {
+        if (component.swiperInstance) {
+          disconnectLinkedSwipers(component);
+        }
+        unregisterInstance(component);
+        if (!swiperInstance.destroyed) {
+          swiperInstance.destroy(true, true);
+        }
+        component.removeAttribute(INITIALIZED_ATTR);
+        delete component.swiperInstance;
+        delete component.swiperElements;
+        delete component.swiperConfig;
+      }
+
+      handleInitError(component, error, elements);
       return null;
     }
   }
 
   /**
-   * Initializes all Swiper components on the page
+   * Creates an initialization error carrying a reason for data-swiper-error
+   *
+   * @param {string} reason - Reason code
+   * @param {string} message - Message for the console
+   * @returns {Error} Error with a reason property
+   */
+  function createInitError(reason, message) {
+    const error = new Error(message);
+    error.reason = reason;
+    return error;
+  }
+
+  /**
+   * Finds all components within a root, including the root itself
+   *
+   * @param {Document|HTMLElement} root - Subtree to search
+   * @returns {HTMLElement[]} Components in document order
+   */
+  function findComponents(root = document) {
+    const components = Array.from(root.querySelectorAll(SELECTORS.component));
+
+    if (root.matches && root.matches(SELECTORS.component)) {
+      components.unshift(root);
+    }
+
+    return components;
+  }
+
+  /**
+   * Checks if a component is inside a root (or is the root)
+   */
+  function isInRoot(component, root) {
+    return root === document || root === component || root.contains(component);
+  }
+
+  /**
+   * Initializes all Swiper components on the page, or within a subtree
+   * Scoped init is meant for page-transition libraries (Barba, Swup, Taxi)
+   * that swap content without a full reload.
+   *
+   * Components using data-swiper-init="visible" are deferred until they
+   * scroll near the viewport, unless `force` is set.
    *
+   * @param {Document|HTMLElement} [root=document] - Subtree to initialize
+   * @param {Object} [options]
+   * @param {boolean} [options.force=false] - Initialize lazy components now
    * @returns {Array} Array of initialized Swiper instances
    */
-  function initializeAllSwipers() {
-    const components = document.querySelectorAll(SELECTORS.component);
+  function initializeAllSwipers(root = document, { force = false } = {}) {
+    // Thumbs sliders go first so their main slider can receive the instance
+    const components = findComponents(root)
+      .sort((a, b) => Number(b.hasAttribute(LINK_ATTRS.thumbsFor)) - Number(a.hasAttribute(LINK_ATTRS.thumbsFor)));
+
+    if (components.length === 0) {
+      log('No Swiper components found on page.', 'info');
+      return [];
+    }
+
+    log(`Found ${components.length} Swiper component(s), initializing...`, 'info');
+
+    // Lay out every waiting slider before the first one initializes
+    components.forEach(component => {
+      if (!component.hasAttribute(INITIALIZED_ATTR) &&
+          !(editorActive && getEditorMode(component) === 'static')) {
+        prepareLayout(component);
+      }
+    });
+
+    const instances = [];
+    components.forEach((component, index) => {
+      // Defer lazy components until they approach the viewport
+      if (!force && !component.hasAttribute(INITIALIZED_ATTR) &&
+          isLazyComponent(component) && scheduleLazyInit(component)) {
+        log(`Component ${index + 1}/${components.length} will initialize when visible`, 'info', null, component);
+        return;
+      }
+
+      log(`Initializing component ${index + 1}/${components.length}`, 'info', null, component);
+      const instance = initializeSwiperComponent(component);
+      if (instance) {
+        instances.push(instance);
+      }
+    });
+
+    log(`Successfully initialized ${instances.length} Swiper(s)`, 'success');
+    return instances;
+  }
+
+  /**
+   * Destroys all Swiper components on the page, or within a subtree
+   * Call before a page transition removes the old content, so Swiper
+   * listeners and ResizeObservers don't leak between pages.
+   *
+   * @param {Document|HTMLElement} [root=document] - Subtree to clean up
+   * @returns {number} Number of destroyed sliders
+   */
+  function destroyAllSwipers(root = document) {
+    let destroyed = 0;
+
+    // Components disabled at the current breakpoint or waiting for lazy
+    // init have no instance, but must stop being initialized later
+    breakpointToggleComponents.forEach(component => {
+      if (isInRoot(component, root)) {
+        unwatchBreakpointToggle(component);
+      }
+    });
+
+    Array.from(lazyComponents.keys()).forEach(component => {
+      if (isInRoot(component, root)) {
+        cancelLazyInit(component);
+      }
+    });
+
+    Array.from(instanceRegistry.keys()).forEach(component => {
+      if (!isInRoot(component, root)) return;
+
+      destroySwiperComponent(component);
+      destroyed++;
+    });
+
+    log(`Destroyed ${destroyed} Swiper(s)`, 'info');
+    return destroyed;
+  }
+
+  /**
+   * Removes the Swiper classes added by prepareSwiperElements()
+   * Restores the layout designed in Webflow after a slider is destroyed
+   *
+   * @param {Object} elements - References returned by prepareSwiperElements()
+   */
+  function removeSwiperClasses(elements) {
+    Object.keys(SWIPER_CLASSES).forEach(key => {
+      const className = SWIPER_CLASSES[key];
+      const targets = key === 'slide' ? elements.slides : [].concat(elements[key] || []);
+
+      Array.from(targets || []).forEach(element => {
+        if (element) element.classList.remove(className);
+      });
+    });
+  }
+
+  /**
+   * Undoes everything prepareSwiperElements() and the init path changed:
+   * Swiper classes, bullet templates, a11y attributes, slide copies and
+   * hidden controls
+   *
+   * @param {Object} elements - References returned by prepareSwiperElements()
+   */
+  function restoreSwiperElements(elements) {
+    removeSwiperClasses(elements);
+    restorePaginationContent(elements);
+    removeA11yAttributes(elements);
+    removeFillClones(elements);
+    setControlsHidden(elements, false);
+  }
+
+  /**
+   * Destroys a Swiper instance and removes initialization marker
+   * Useful for cleanup or reinitialization
+   *
+   * @param {HTMLElement} component - The component to destroy
+   */
+  function destroySwiperComponent(component) {
+    if (component.swiperInstance) {
+      dispatchSwiperEvent(component, 'swiper:destroy', getEventDetail(component, component.swiperInstance));
+      disconnectLinkedSwipers(component);
+      unregisterInstance(component);
+      component.swiperInstance.destroy(true, true);
+      component.removeAttribute(INITIALIZED_ATTR);
+      delete component.swiperInstance;
+
+      if (component.swiperElements) {
+        restoreSwiperElements(component.swiperElements);
+        delete component.swiperElements;
+      }
+
+      delete component.swiperConfig;
+      clearLayoutProperties(component);
+
+      log('Swiper instance destroyed', 'info', null, component);
+    }
+  }
+
+  /**
+   * Reinitializes a specific Swiper component
+   * Useful when content changes or configuration updates
+   *
+   * @param {HTMLElement} component - The component to reinitialize
+   * @param {Object} [options]
+   * @param {boolean} [options.preserveIndex=false] - Return to the current slide
+   * @returns {Swiper|null} New Swiper instance
+   */
+  function reinitializeSwiperComponent(component, { preserveIndex = false } = {}) {
+    const previous = component.swiperInstance;
+    const index = previous ? (previous.params && previous.params.loop ? previous.realIndex : previous.activeIndex) : 0;
+
+    destroySwiperComponent(component);
+    const swiper = initializeSwiperComponent(component);
+
+    if (swiper && preserveIndex && index > 0) {
+      if (swiper.params && swiper.params.loop) {
+        swiper.slideToLoop(index, 0, false);
+      } else {
+        swiper.slideTo(index, 0, false);
+      }
+    }
+
+    return swiper;
+  }
+
+  // ============================================================================
+  // COUNTER & PROGRESS
+  // ============================================================================
+
+  /**
+   * Swiper events after which the counter and progress may be outdated
+   */
+  const COUNTER_UPDATE_EVENTS = [
+    'slideChange',
+    'snapIndexChange',
+    'snapGridLengthChange',
+    'slidesLengthChange',
+    'breakpoint',
+    'update',
+  ];
+
+  /**
+   * Reads the current position the way Swiper's fraction pagination does:
+   * real slides in loop mode, snap positions otherwise (so "3 / 12" reaches
+   * 12 even when several slides are visible at once)
+   *
+   * @param {Swiper} swiper - The Swiper instance
+   * @param {Object} elements - References to Swiper elements
+   * @returns {{current: number, total: number}} 1-based position and total
+   */
+  function getSlidePosition(swiper, elements) {
+    const loop = swiper.params && swiper.params.loop;
+    const useSnaps = !loop && Array.isArray(swiper.snapGrid) && swiper.snapGrid.length > 0;
+
+    const total = useSnaps ? swiper.snapGrid.length : elements.slides.length;
+    let index = swiper.activeIndex || 0;
+    if (loop) {
+      // Copies from data-swiper-loop-fill="duplicate" repeat the real slides
+      index = (swiper.realIndex || 0) % total;
+    } else if (useSnaps && typeof swiper.snapIndex === 'number') {
+      index = swiper.snapIndex;
+    }
+
+    return { current: Math.min(index + 1, total), total };
+  }
+
+  /**
+   * Writes the current position into counter and progress elements
+   *
+   * - data-swiper="current": text content "3"
+   * - data-swiper="total": text content "12"
+   * - data-swiper="progress": scaled from 0 to 1 along the slider direction,
+   *   also exposed as the --swiper-progress custom property
+   */
+  function updateCounterElements(swiper, elements) {
+    const { current, total } = getSlidePosition(swiper, elements);
+
+    elements.current.forEach(element => {
+      element.textContent = String(current);
+    });
+
+    elements.total.forEach(element => {
+      element.textContent = String(total);
+    });
+
+    const progress = total > 0 ? current / total : 0;
+    const vertical = swiper.params && swiper.params.direction === 'vertical';
+
+    elements.progress.forEach(element => {
+      element.style.setProperty('--swiper-progress', String(progress));
+      element.style.transformOrigin = vertical ? 'center top' : 'left center';
+      element.style.transform = vertical ? `scaleY(${progress})` : `scaleX(${progress})`;
+    });
+  }
+
+  /**
+   * Keeps counter and progress elements in sync with a Swiper instance
+   *
+   * @param {Swiper} swiper - The Swiper instance
+   * @param {Object} elements - References to Swiper elements
+   */
+  function bindCounterElements(swiper, elements) {
+    if (elements.current.length + elements.total.length + elements.progress.length === 0) return;
+
+    const update = () => updateCounterElements(swiper, elements);
+    COUNTER_UPDATE_EVENTS.forEach(eventName => swiper.on(eventName, update));
+    update();
+
+    // Hand the progress element back to its Webflow styles
+    swiper.on('destroy', () => {
+      elements.progress.forEach(element => {
+        element.style.removeProperty('--swiper-progress');
+        element.style.removeProperty('transform');
+        element.style.removeProperty('transform-origin');
+        if (!element.getAttribute('style')) {
+          element.removeAttribute('style');
+        }
+      });
+    });
+  }
+
+  // ============================================================================
+  // EXTERNAL CONTROLS (Play/Pause, Go-to-Slide, Targeted Navigation)
+  // ============================================================================
+
+  /**
+   * Selector for every element handled by the delegated click listener
+   * Prev/next buttons are only handled here when they target another slider;
+   * inside a component Swiper's navigation module handles them.
+   */
+  const CONTROL_SELECTOR = [
+    SELECTORS.playToggle,
+    `[${CONTROL_ATTRS.goto}]`,
+    `${SELECTORS.navPrev}[${CONTROL_ATTRS.target}]`,
+    `${SELECTORS.navNext}[${CONTROL_ATTRS.target}]`,
+  ].join(', ');
+
+  let controlListenerAttached = false;
+
+  /**
+   * Resolves the components a control element drives
+   * data-swiper-target wins; otherwise the control belongs to the
+   * component it sits in.
+   *
+   * @param {HTMLElement} control - The control element
+   * @returns {HTMLElement[]} Target components
+   */
+  function getControlTargets(control) {
+    const targetId = control.getAttribute(CONTROL_ATTRS.target);
+    if (targetId) {
+      return findComponentsById(targetId);
+    }
+
+    const component = control.closest(SELECTORS.component);
+    return component ? [component] : [];
+  }
+
+  /**
+   * Finds all control elements driving a component
+   *
+   * @param {HTMLElement} component - The component element
+   * @returns {HTMLElement[]} Controls inside the component and controls targeting its ID
+   */
+  function findControlElements(component) {
+    const controls = findOwnElements(component, CONTROL_SELECTOR)
+      .filter(control => !control.hasAttribute(CONTROL_ATTRS.target));
+
+    const id = component.getAttribute(LINK_ATTRS.id);
+    if (id) {
+      document.querySelectorAll(CONTROL_SELECTOR).forEach(control => {
+        if (control.getAttribute(CONTROL_ATTRS.target) === id) {
+          controls.push(control);
+        }
+      });
+    }
+
+    return controls;
+  }
+
+  /**
+   * Parses a 1-based data-swiper-goto value into a slide index
+   *
+   * @returns {number|null} 0-based index, or null if invalid
+   */
+  function getGotoIndex(control) {
+    const value = parseInt(control.getAttribute(CONTROL_ATTRS.goto), 10);
+    return isNaN(value) || value < 1 ? null : value - 1;
+  }
+
+  /**
+   * Checks whether autoplay is currently running
+   */
+  function isAutoplayRunning(swiper) {
+    return !!(swiper.autoplay && swiper.autoplay.running);
+  }
+
+  /**
+   * Runs a control's action on a Swiper instance
+   *
+   * @param {HTMLElement} control - The clicked control element
+   * @param {Swiper} swiper - The target Swiper instance
+   */
+  function runControlAction(control, swiper) {
+    if (control.matches(SELECTORS.playToggle)) {
+      if (!swiper.autoplay) {
+        log('Play toggle requires the Swiper Autoplay module.', 'warn', control);
+        return;
+      }
+
+      if (isAutoplayRunning(swiper)) {
+        swiper.autoplay.stop();
+      } else {
+        swiper.autoplay.start();
+      }
+      return;
+    }
+
+    if (control.hasAttribute(CONTROL_ATTRS.goto)) {
+      const index = getGotoIndex(control);
+      if (index === null) {
+        log(`Invalid ${CONTROL_ATTRS.goto} value "${control.getAttribute(CONTROL_ATTRS.goto)}". Use a slide number starting at 1.`, 'warn', control);
+        return;
+      }
+
+      if (swiper.params && swiper.params.loop) {
+        swiper.slideToLoop(index);
+      } else {
+        swiper.slideTo(index);
+      }
+      return;
+    }
+
+    if (control.matches(SELECTORS.navPrev)) {
+      swiper.slidePrev();
+    } else if (control.matches(SELECTORS.navNext)) {
+      swiper.slideNext();
+    }
+  }
+
+  /**
+   * Delegated click handler for all control elements
+   * Delegation covers controls added to the page after initialization.
+   */
+  function handleControlClick(event) {
+    const control = event.target.closest ? event.target.closest(CONTROL_SELECTOR) : null;
+    if (!control) return;
+
+    const swipers = getControlTargets(control)
+      .map(component => component.swiperInstance)
+      .filter(Boolean);
+    if (swipers.length === 0) return;
+
+    // Controls are often links with href="#"
+    event.preventDefault();
+    swipers.forEach(swiper => runControlAction(control, swiper));
+  }
+
+  /**
+   * Attaches the delegated click listener once
+   */
+  function setupControlListeners() {
+    if (controlListenerAttached) return;
+
+    document.addEventListener('click', handleControlClick);
+    controlListenerAttached = true;
+  }
+
+  /**
+   * Toggles a control state class and its matching attribute
+   *
+   * @param {HTMLElement} element - Control or bullet element
+   * @param {string} state - Key of CONTROL_STATE_CLASSES
+   * @param {boolean} on - Whether the state applies
+   */
+  function setControlState(element, state, on) {
+    element.classList.toggle(CONTROL_STATE_CLASSES[state], on);
+    if (on) {
+      element.setAttribute(CONTROL_STATE_ATTRS[state], 'true');
+    } else {
+      element.removeAttribute(CONTROL_STATE_ATTRS[state]);
+    }
+  }
+
+  /**
+   * Updates is-active / is-playing on a component's controls
+   *
+   * @param {HTMLElement} component - The component element
+   * @param {Swiper} swiper - The Swiper instance
+   */
+  function updateControlStates(component, swiper) {
+    const loop = swiper.params && swiper.params.loop;
+    const index = loop ? swiper.realIndex : swiper.activeIndex;
+    const playing = isAutoplayRunning(swiper);
+
+    findControlElements(component).forEach(control => {
+      if (control.matches(SELECTORS.playToggle)) {
+        setControlState(control, 'playing', playing);
+        control.setAttribute('aria-pressed', String(playing));
+      }
+
+      if (control.hasAttribute(CONTROL_ATTRS.goto)) {
+        const active = getGotoIndex(control) === index;
+        setControlState(control, 'active', active);
+        if (active) {
+          control.setAttribute('aria-current', 'true');
+        } else {
+          control.removeAttribute('aria-current');
+        }
+      }
+    });
+  }
+
+  /**
+   * Removes state classes and attributes set by updateControlStates()
+   */
+  function clearControlStates(component) {
+    findControlElements(component).forEach(control => {
+      setControlState(control, 'active', false);
+      setControlState(control, 'playing', false);
+      if (control.matches(SELECTORS.playToggle)) {
+        control.removeAttribute('aria-pressed');
+      }
+      if (control.hasAttribute(CONTROL_ATTRS.goto)) {
+        control.removeAttribute('aria-current');
+      }
+    });
+  }
+
+  /**
+   * Keeps control element states in sync with a Swiper instance
+   *
+   * @param {HTMLElement} component - The component element
+   * @param {Swiper} swiper - The Swiper instance
+   */
+  function bindControlElements(component, swiper) {
+    setupControlListeners();
+
+    const update = () => updateControlStates(component, swiper);
+    ['slideChange', 'autoplayStart', 'autoplayStop'].forEach(eventName => swiper.on(eventName, update));
+    swiper.on('destroy', () => clearControlStates(component));
+    update();
+  }
+
+  // ============================================================================
+  // BULLET TEMPLATES
+  // ============================================================================
+
+  /**
+   * Role given to bullets cloned from a template
+   * Keeps them visible and out of the default bullet styling
+   */
+  const BULLET_ROLE = 'bullet';
+
+  /**
+   * Prefix for slide attributes read into bullet placeholders
+   * Example: data-swiper-bullet-label="Overview" → {{label}}
+   */
+  const BULLET_DATA_PREFIX = 'data-swiper-bullet-';
+
+  /**
+   * Attribute marking elements inside the template filled with a slide value
+   * Text elements get the value as text, images as their src
+   */
+  const BULLET_FIELD_ATTR = 'data-swiper-bullet-field';
+
+  /**
+   * Collects the placeholder values for a slide
+   *
+   * - index: 1-based bullet number
+   * - label: data-swiper-bullet-label, falling back to the number
+   * - any other data-swiper-bullet-<name> attribute on the slide
+   *
+   * @param {HTMLElement|undefined} slide - The slide element
+   * @param {number} index - 0-based bullet index
+   * @returns {Object} Placeholder name → value
+   */
+  function getBulletValues(slide, index) {
+    const values = { index: String(index + 1), label: String(index + 1) };
+
+    if (slide) {
+      Array.from(slide.attributes).forEach(attr => {
+        if (attr.name.startsWith(BULLET_DATA_PREFIX)) {
+          values[kebabToCamel(attr.name.slice(BULLET_DATA_PREFIX.length))] = attr.value;
+        }
+      });
+    }
+
+    return values;
+  }
+
+  /**
+   * Replaces {{name}} placeholders; unknown names become empty
+   */
+  function fillPlaceholders(text, values) {
+    return text.replace(/\{\{\s*([\w-]+)\s*\}\}/g, (match, name) => {
+      const value = values[kebabToCamel(name)];
+      return value === undefined ? '' : value;
+    });
+  }
+
+  /**
+   * Creates a Swiper pagination.renderBullet function from a template element
+   * The template is cloned per bullet; {{name}} placeholders in text and
+   * attributes and [data-swiper-bullet-field] elements are filled from the
+   * matching slide.
+   *
+   * @param {Object} elements - References to Swiper elements
+   * @param {HTMLElement} template - The bullet template to clone
+   * @returns {Function} renderBullet(index, className) → HTML string
+   */
+  function createBulletRenderer(elements, template) {
+    return function(index, className) {
+      const bullet = template.cloneNode(true);
+      const values = getBulletValues(elements.slides[index], index);
+
+      [bullet, ...bullet.querySelectorAll('*')].forEach(element => {
+        Array.from(element.attributes).forEach(attr => {
+          if (attr.value.includes('{{')) {
+            element.setAttribute(attr.name, fillPlaceholders(attr.value, values));
+          }
+        });
+
+        const field = element.getAttribute(BULLET_FIELD_ATTR);
+        if (field) {
+          const value = values[kebabToCamel(field)];
+          if (value !== undefined) {
+            if (element.tagName === 'IMG') {
+              element.src = value;
+              element.removeAttribute('srcset');
+            } else {
+              element.textContent = value;
+            }
+          }
+        }
+      });
+
+      // Text nodes are filled in place so child elements keep their styles
+      const walker = document.createTreeWalker(bullet, NodeFilter.SHOW_TEXT);
+      while (walker.nextNode()) {
+        const node = walker.currentNode;
+        if (node.nodeValue.includes('{{')) {
+          node.nodeValue = fillPlaceholders(node.nodeValue, values);
+        }
+      }
+
+      bullet.setAttribute('data-swiper', BULLET_ROLE);
+      className.split(' ').forEach(name => name && bullet.classList.add(name));
+
+      return bullet.outerHTML;
+    };
+  }
+
+  /**
+   * Re-renders bullets from each pagination's own template
+   * Swiper renders the same bullets into every pagination (from the first
+   * template), so paginations with a different template, such as separate
+   * mobile and desktop tabs, get their bullets swapped after each render.
+   *
+   * @param {Swiper} swiper - The Swiper instance
+   * @param {Object} elements - References to Swiper elements
+   */
+  function bindPaginationTemplates(swiper, elements) {
+    if (!elements.bulletRenderer || !isObject(swiper.params.pagination) ||
+        swiper.params.pagination.renderBullet !== elements.bulletRenderer) return;
+
+    const renderers = new Map();
+    elements.bulletTemplates.forEach((template, pagination) => {
+      if (template !== elements.bulletTemplate) {
+        renderers.set(pagination, createBulletRenderer(elements, template));
+      }
+    });
+    if (renderers.size === 0) return;
+
+    const update = () => {
+      const params = swiper.params.pagination;
+      const bulletClass = params.bulletClass || 'swiper-pagination-bullet';
+      const activeClass = params.bulletActiveClass || 'swiper-pagination-bullet-active';
+      const bullets = swiper.pagination && swiper.pagination.bullets;
+
+      renderers.forEach((render, pagination) => {
+        pagination.querySelectorAll(`[data-swiper="${BULLET_ROLE}"]`).forEach((bullet, index) => {
+          const holder = document.createElement('div');
+          holder.innerHTML = render(index, bulletClass);
+          const replacement = holder.firstElementChild;
+
+          // Keep the state and a11y attributes Swiper already applied
+          bullet.classList.forEach(name => {
+            if (name.startsWith(activeClass)) replacement.classList.add(name);
+          });
+          ['tabindex', 'role', 'aria-label', 'aria-current'].forEach(name => {
+            if (bullet.hasAttribute(name) && !replacement.hasAttribute(name)) {
+              replacement.setAttribute(name, bullet.getAttribute(name));
+            }
+          });
+          bullet.replaceWith(replacement);
+
+          // Swiper updates active states through this list
+          if (Array.isArray(bullets) && bullets.includes(bullet)) {
+            bullets[bullets.indexOf(bullet)] = replacement;
+          }
+        });
+      });
+    };
+
+    swiper.on('paginationRender', update);
+    update();
+  }
+
+  /**
+   * Mirrors Swiper's active bullet class as the is-active combo class
+   * and the data-swiper-active attribute
+   *
+   * @param {Swiper} swiper - The Swiper instance
+   * @param {Object} elements - References to Swiper elements
+   */
+  function bindBulletStates(swiper, elements) {
+    if (!elements.bulletTemplate) return;
+
+    const update = () => {
+      const params = isObject(swiper.params.pagination) ? swiper.params.pagination : {};
+      const activeClass = params.bulletActiveClass || 'swiper-pagination-bullet-active';
+
+      elements.pagination.forEach(pagination => {
+        pagination.querySelectorAll(`[data-swiper="${BULLET_ROLE}"]`).forEach(bullet => {
+          setControlState(bullet, 'active', bullet.classList.contains(activeClass));
+        });
+      });
+    };
+
+    swiper.on('paginationRender', update);
+    swiper.on('paginationUpdate', update);
+    update();
+  }
+
+  /**
+   * Puts back the pagination content (including the bullet template)
+   * that Swiper replaced with rendered bullets
+   */
+  function restorePaginationContent(elements) {
+    if (!elements.paginationContent) return;
+
+    elements.paginationContent.forEach((content, pagination) => {
+      pagination.replaceChildren(...content);
+    });
+  }
+
+  // ============================================================================
+  // ACCESSIBILITY
+  // ============================================================================
+
+  /**
+   * Label attributes (data-swiper-a11y-<kebab-name>) and the Swiper A11y
+   * message each one sets; fallbacks match Swiper's English defaults
+   */
+  const A11Y_LABELS = {
+    prevLabel: { message: 'prevSlideMessage', fallback: 'Previous slide' },
+    nextLabel: { message: 'nextSlideMessage', fallback: 'Next slide' },
+    firstLabel: { message: 'firstSlideMessage', fallback: 'This is the first slide' },
+    lastLabel: { message: 'lastSlideMessage', fallback: 'This is the last slide' },
+    bulletLabel: { message: 'paginationBulletMessage', fallback: 'Go to slide {{index}}' },
+    slideLabel: { message: 'slideLabelMessage', fallback: '{{index}} / {{slidesLength}}' },
+    carouselLabel: { message: 'containerMessage', fallback: null },
+    roleDescription: { message: 'containerRoleDescriptionMessage', fallback: 'carousel' },
+    slideRoleDescription: { message: 'itemRoleDescriptionMessage', fallback: 'slide' },
+  };
+
+  const REDUCED_MOTION_QUERY = '(prefers-reduced-motion: reduce)';
+
+  let reducedMotionQuery = null;
+
+  /**
+   * Reads the accessibility labels for a component
+   * Component attributes win over page-wide ones on <html>/<body>.
+   *
+   * @param {HTMLElement} component - The component element
+   * @returns {Object} Label name → text (null when not set and no fallback)
+   */
+  function getA11yLabels(component) {
+    const labels = {};
+
+    Object.keys(A11Y_LABELS).forEach(name => {
+      const attrName = `${A11Y_ATTR_PREFIX}${camelToKebab(name)}`;
+      const value = component.hasAttribute(attrName)
+        ? component.getAttribute(attrName)
+        : getGlobalAttribute(attrName);
+
+      labels[name] = value !== null ? value : A11Y_LABELS[name].fallback;
+    });
+
+    return labels;
+  }
+
+  /**
+   * Converts labels to Swiper A11y module messages
+   */
+  function getA11yMessages(labels) {
+    const messages = {};
+
+    Object.keys(A11Y_LABELS).forEach(name => {
+      if (labels[name] !== null) {
+        messages[A11Y_LABELS[name].message] = labels[name];
+      }
+    });
+
+    return messages;
+  }
+
+  /**
+   * Checks whether accessibility attributes are disabled (data-swiper-a11y="false")
+   */
+  function isA11yDisabled(component) {
+    const attrName = `${CONFIG_ATTR_PREFIX}a11y`;
+    return component.hasAttribute(attrName) && parseValue(component.getAttribute(attrName)) === false;
+  }
+
+  /**
+   * Sets an attribute unless the designer already set it in Webflow
+   * Attributes set here are recorded so they can be updated and removed later.
+   */
+  function setA11yAttribute(elements, element, name, value) {
+    const owned = elements.a11yAttributes.some(([el, attr]) => el === element && attr === name);
+    if (element.hasAttribute(name) && !owned) return;
+
+    element.setAttribute(name, value);
+    if (!owned) {
+      elements.a11yAttributes.push([element, name]);
+    }
+  }
+
+  /**
+   * Labels slides as groups ("3 / 12") inside the carousel
+   *
+   * @param {Object} elements - References to Swiper elements
+   */
+  function labelSlides(elements) {
+    if (!elements.a11yLabels) return;
+
+    const { slideLabel, slideRoleDescription } = elements.a11yLabels;
+    const slidesLength = elements.slides.length;
+
+    elements.slides.forEach((slide, index) => {
+      setA11yAttribute(elements, slide, 'role', 'group');
+      setA11yAttribute(elements, slide, 'aria-roledescription', slideRoleDescription);
+      setA11yAttribute(elements, slide, 'aria-label', slideLabel
+        .replace(/\{\{index\}\}/g, String(index + 1))
+        .replace(/\{\{slidesLength\}\}/g, String(slidesLength)));
+    });
+  }
+
+  /**
+   * Adds roles, labels and keyboard focus to the slider elements
+   * Works without Swiper's A11y module, which refines them when loaded.
+   *
+   * - Container: aria-roledescription="carousel" (+ aria-label)
+   * - Slides: role="group" with "3 / 12" labels
+   * - Nav elements that aren't <button>: role="button", tabindex="0";
+   *   icon-only nav elements also get an aria-label
+   *
+   * @param {HTMLElement} component - The component element
+   * @param {Object} elements - References to Swiper elements
+   */
+  function applyA11yAttributes(component, elements) {
+    if (isA11yDisabled(component)) return;
+
+    const labels = getA11yLabels(component);
+    elements.a11yLabels = labels;
+    elements.a11yAttributes = [];
+
+    setA11yAttribute(elements, elements.container, 'aria-roledescription', labels.roleDescription);
+    if (labels.carouselLabel) {
+      setA11yAttribute(elements, elements.container, 'aria-label', labels.carouselLabel);
+    }
+
+    labelSlides(elements);
+
+    [[elements.navPrev, labels.prevLabel], [elements.navNext, labels.nextLabel]].forEach(([buttons, label]) => {
+      buttons.forEach(button => {
+        if (button.tagName !== 'BUTTON') {
+          setA11yAttribute(elements, button, 'role', 'button');
+          setA11yAttribute(elements, button, 'tabindex', '0');
+        }
+
+        if (!button.textContent.trim()) {
+          setA11yAttribute(elements, button, 'aria-label', label);
+        }
+      });
+    });
+  }
+
+  /**
+   * Removes the attributes set by applyA11yAttributes()
+   */
+  function removeA11yAttributes(elements) {
+    (elements.a11yAttributes || []).forEach(([element, name]) => element.removeAttribute(name));
+    elements.a11yAttributes = [];
+  }
+
+  /**
+   * Activates role="button" nav elements with Enter/Space
+   * Only needed when the loaded bundle lacks Swiper's A11y module,
+   * which handles the keys itself.
+   *
+   * @param {Swiper} swiper - The Swiper instance
+   * @param {Object} elements - References to Swiper elements
+   */
+  function bindA11yKeyboard(swiper, elements) {
+    if (swiper.a11y !== undefined || !elements.a11yLabels) return;
+
+    const buttons = [...elements.navPrev, ...elements.navNext]
+      .filter(button => button.tagName !== 'BUTTON');
+    if (buttons.length === 0) return;
+
+    const handleKeydown = event => {
+      if (event.key === 'Enter' || event.key === ' ') {
+        event.preventDefault();
+        event.currentTarget.click();
+      }
+    };
+
+    buttons.forEach(button => button.addEventListener('keydown', handleKeydown));
+    swiper.on('destroy', () => {
+      buttons.forEach(button => button.removeEventListener('keydown', handleKeydown));
+    });
+  }
+
+  /**
+   * Checks whether a component should honor prefers-reduced-motion
+   *
+   * @param {HTMLElement} component - The component element
+   * @returns {boolean} True if the visitor prefers reduced motion and the
+   *   component (or page) hasn't opted out
+   */
+  function prefersReducedMotion(component) {
+    const setting = component.getAttribute(REDUCED_MOTION_ATTR) || getGlobalAttribute(REDUCED_MOTION_ATTR);
+    if (setting === 'ignore' || setting === 'false') return false;
+
+    return typeof window.matchMedia === 'function' && window.matchMedia(REDUCED_MOTION_QUERY).matches;
+  }
+
+  /**
+   * Removes motion from a configuration
+   * Autoplay keeps its settings but doesn't start, so a play toggle still works.
+   *
+   * @param {Object} config - Swiper configuration (modified in place)
+   */
+  function applyReducedMotion(config) {
+    config.speed = 0;
+
+    if (isObject(config.autoplay)) {
+      config.autoplay = { ...config.autoplay, enabled: false };
+    }
+
+    if (isObject(config.breakpoints)) {
+      const breakpoints = {};
+      Object.keys(config.breakpoints).forEach(width => {
+        const { speed, autoplay, ...values } = config.breakpoints[width];
+        breakpoints[width] = values;
+      });
+      config.breakpoints = breakpoints;
+    }
+  }
+
+  /**
+   * Rebuilds sliders when the visitor changes the reduced-motion preference
+   */
+  function watchReducedMotion() {
+    if (reducedMotionQuery || typeof window.matchMedia !== 'function') return;
+
+    reducedMotionQuery = window.matchMedia(REDUCED_MOTION_QUERY);
+    addMediaQueryListener(reducedMotionQuery, () => {
+      Array.from(instanceRegistry.keys()).forEach(component => {
+        const setting = component.getAttribute(REDUCED_MOTION_ATTR) || getGlobalAttribute(REDUCED_MOTION_ATTR);
+        if (setting !== 'ignore' && setting !== 'false') {
+          reinitializeSwiperComponent(component, { preserveIndex: true });
+        }
+      });
+    });
+  }
+
+  // ============================================================================
+  // MEDIA MANAGER (Videos & Embeds)
+  // ============================================================================
+
+  /**
+   * Player events tracked to hold autoplay while media plays
+   */
+  const MEDIA_EVENTS = ['play', 'pause', 'ended'];
+
+  /**
+   * Iframe players controlled through their postMessage APIs
+   * - youtube: YouTube IFrame API (needs enablejsapi=1, added automatically)
+   * - vimeo: Vimeo Player API
+   * - playerjs: player.js, used by the Embedly iframes of Webflow's Video element
+   */
+  const MEDIA_PLAYERS = {
+    youtube: {
+      src: /\/\/(www\.)?youtube(-nocookie)?\.com\/embed\//,
+      origin: /^https:\/\/(www\.)?youtube(-nocookie)?\.com$/,
+      command: action => ({ event: 'command', func: action === 'play' ? 'playVideo' : 'pauseVideo', args: [] }),
+      subscribe: () => [{ event: 'listening' }],
+      getState(data) {
+        if (data.event !== 'onStateChange' && data.event !== 'infoDelivery') return null;
+
+        const info = isObject(data.info) ? data.info.playerState : data.info;
+        return { 0: 'ended', 1: 'play', 2: 'pause' }[info] || null;
+      },
+    },
+    vimeo: {
+      src: /\/\/player\.vimeo\.com\/video\//,
+      origin: /^https:\/\/player\.vimeo\.com$/,
+      command: action => ({ method: action }),
+      subscribe: () => MEDIA_EVENTS.map(value => ({ method: 'addEventListener', value })),
+      getState: data => (MEDIA_EVENTS.includes(data.event) ? data.event : null),
+    },
+    playerjs: {
+      src: /\/\/cdn\.embedly\.com\/widgets\/media\.html/,
+      origin: /^https:\/\/cdn\.embedly\.com$/,
+      command: action => ({ context: 'player.js', version: '0.0.11', method: action }),
+      subscribe: () => MEDIA_EVENTS.map(value => ({ context: 'player.js', version: '0.0.11', method: 'addEventListener', value })),
+      getState: data => (data.context === 'player.js' && MEDIA_EVENTS.includes(data.event) ? data.event : null),
+    },
+  };
+
+  /**
+   * Media state per component
+   * component → { swiper, mode, playing: Set, holding, iframes: Map, videos: [], cleanup: [] }
+   */
+  const mediaStates = new Map();
+
+  let mediaMessageListenerAttached = false;
+
+  /**
+   * Reads the media mode for a component (component attribute, then <html>/<body>)
+   *
+   * @returns {string} 'pause', 'autoplay' or 'off'
+   */
+  function getMediaMode(component) {
+    const value = component.getAttribute(MEDIA_ATTR) || getGlobalAttribute(MEDIA_ATTR) || 'pause';
+    return value === 'false' ? 'off' : value;
+  }
+
+  /**
+   * Finds the iframe player type for an iframe, if supported
+   */
+  function getMediaPlayer(iframe) {
+    const src = iframe.getAttribute('src') || '';
+    const type = Object.keys(MEDIA_PLAYERS).find(key => MEDIA_PLAYERS[key].src.test(src));
+    return type ? MEDIA_PLAYERS[type] : null;
+  }
+
+  /**
+   * Sends a message to an iframe player
+   */
+  function postToPlayer(iframe, message) {
+    if (!iframe.contentWindow) return;
+
+    let targetOrigin = '*';
+    try {
+      targetOrigin = new URL(iframe.src, window.location.href).origin;
+    } catch (error) {
+      // Keep '*' for unparsable src values
+    }
+
+    iframe.contentWindow.postMessage(JSON.stringify(message), targetOrigin);
+  }
+
+  /**
+   * Plays or pauses a media element
+   *
+   * @param {HTMLVideoElement|HTMLIFrameElement} element - Media element
+   * @param {string} action - 'play' or 'pause'
+   * @param {Object} [player] - Entry from MEDIA_PLAYERS for iframes
+   * @param {HTMLElement} [component] - Component the element belongs to (for debug logs)
+   */
+  function controlMedia(element, action, player, component) {
+    if (player) {
+      postToPlayer(element, player.command(action));
+      return;
+    }
+
+    if (action === 'play') {
+      // Browsers reject unmuted playback without a user gesture
+      const result = element.play();
+      if (result && typeof result.catch === 'function') {
+        result.catch(() => log('Browser blocked video playback; mute the video to allow autoplay.', 'info', element, component));
+      }
+    } else if (!element.paused) {
+      element.pause();
+    }
+  }
+
+  /**
+   * Stops Swiper autoplay while media plays and restarts it afterwards
+   * Only autoplay the media manager stopped is restarted.
+   */
+  function updateMediaHold(state) {
+    const { swiper } = state;
+    if (!swiper.autoplay) return;
+
+    if (state.playing.size > 0 && !state.holding && isAutoplayRunning(swiper)) {
+      state.holding = true;
+      swiper.autoplay.stop();
+    } else if (state.playing.size === 0 && state.holding) {
+      state.holding = false;
+      swiper.autoplay.start();
+    }
+  }
+
+  /**
+   * Records whether a media element is playing
+   */
+  function setMediaPlaying(state, element, playing) {
+    if (playing) {
+      state.playing.add(element);
+    } else {
+      state.playing.delete(element);
+    }
+
+    updateMediaHold(state);
+  }
+
+  /**
+   * Starts tracking the media elements of a component's slides, including
+   * slides copied for loop or marquee mode
+   * Called on every update, so slides added later are picked up too.
+   */
+  function collectMedia(state, elements) {
+    getAllSlides(elements).forEach(slide => {
+      slide.querySelectorAll('video').forEach(video => {
+        if (state.videos.includes(video)) return;
+        state.videos.push(video);
+
+        // Looping (background) videos never end, so they don't hold autoplay
+        if (video.loop) return;
+
+        const onPlay = () => setMediaPlaying(state, video, true);
+        const onStop = () => setMediaPlaying(state, video, false);
+        video.addEventListener('play', onPlay);
+        video.addEventListener('pause', onStop);
+        video.addEventListener('ended', onStop);
+        state.cleanup.push(() => {
+          video.removeEventListener('play', onPlay);
+          video.removeEventListener('pause', onStop);
+          video.removeEventListener('ended', onStop);
+        });
+      });
+
+      slide.querySelectorAll('iframe').forEach(iframe => {
+        if (state.iframes.has(iframe)) return;
+
+        const player = getMediaPlayer(iframe);
+        if (!player) return;
+
+        // The YouTube API only answers when enabled in the embed URL (reloads the iframe)
+        if (player === MEDIA_PLAYERS.youtube && !/[?&]enablejsapi=1/.test(iframe.src)) {
+          iframe.src += (iframe.src.includes('?') ? '&' : '?') + 'enablejsapi=1';
+        }
+
+        state.iframes.set(iframe, player);
+
+        const subscribe = () => player.subscribe().forEach(message => postToPlayer(iframe, message));
+        iframe.addEventListener('load', subscribe);
+        state.cleanup.push(() => iframe.removeEventListener('load', subscribe));
+        subscribe();
+      });
+    });
+  }
+
+  /**
+   * Pauses media in inactive slides and (optionally) plays the active slide's media
+   *
+   * @param {HTMLElement} component - The component element
+   */
+  function updateSlideMedia(component) {
+    const state = mediaStates.get(component);
+    const elements = component.swiperElements;
+    if (!state || !elements) return;
+
+    collectMedia(state, elements);
+
+    const { swiper, mode } = state;
+    const activeSlide = swiper.slides ? swiper.slides[swiper.activeIndex] : null;
+
+    getAllSlides(elements).forEach(slide => {
+      const active = slide === activeSlide || slide.classList.contains('swiper-slide-visible');
+
+      state.videos.forEach(video => {
+        if (!slide.contains(video)) return;
+
+        if (!active) {
+          controlMedia(video, 'pause', null, component);
+        } else if (mode === 'autoplay' || video.autoplay) {
+          controlMedia(video, 'play', null, component);
+        }
+      });
+
+      state.iframes.forEach((player, iframe) => {
+        if (!slide.contains(iframe)) return;
+
+        if (!active) {
+          controlMedia(iframe, 'pause', player, component);
+          setMediaPlaying(state, iframe, false);
+        } else if (mode === 'autoplay') {
+          controlMedia(iframe, 'play', player, component);
+        }
+      });
+    });
+  }
+
+  /**
+   * Routes messages from iframe players to the component that owns them
+   */
+  function handleMediaMessage(event) {
+    mediaStates.forEach(state => {
+      state.iframes.forEach((player, iframe) => {
+        if (iframe.contentWindow !== event.source || !player.origin.test(event.origin)) return;
+
+        const data = typeof event.data === 'string' ? safeJSONParse(event.data, null, true) : event.data;
+        if (!isObject(data)) return;
+
+        // Vimeo and player.js accept listeners once the player is ready
+        if (data.event === 'ready') {
+          player.subscribe().forEach(message => postToPlayer(iframe, message));
+          return;
+        }
+
+        const playerState = player.getState(data);
+        if (playerState) {
+          setMediaPlaying(state, iframe, playerState === 'play');
+        }
+      });
+    });
+  }
+
+  /**
+   * Hooks the media manager into a slider's lifecycle
+   *
+   * @param {HTMLElement} component - The component element
+   * @param {Swiper} swiper - The Swiper instance
+   */
+  function bindMediaManager(component, swiper) {
+    const mode = getMediaMode(component);
+    if (mode === 'off') return;
+
+    if (!mediaMessageListenerAttached) {
+      window.addEventListener('message', handleMediaMessage);
+      mediaMessageListenerAttached = true;
+    }
+
+    const state = {
+      swiper,
+      mode,
+      playing: new Set(),
+      holding: false,
+      iframes: new Map(),
+      videos: [],
+      cleanup: [],
+    };
+    mediaStates.set(component, state);
+
+    const update = () => updateSlideMedia(component);
+    swiper.on('slideChange', update);
+    swiper.on('slidesLengthChange', update);
+    swiper.on('destroy', () => {
+      state.cleanup.forEach(fn => fn());
+      mediaStates.delete(component);
+    });
+
+    update();
+  }
+
+  // ============================================================================
+  // WEBFLOW INTEGRATION (Interactions & Lightbox on Loop Clones)
+  // ============================================================================
+
+  /**
+   * Delay for re-initializing Webflow modules, shared by all sliders so a page
+   * with many loop sliders re-initializes once
+   */
+  const WEBFLOW_REFRESH_DELAY = 100;
+
+  /**
+   * Attributes inside a cloned slide that reference an element ID
+   */
+  const ID_REFERENCE_ATTRS = ['for', 'aria-controls', 'aria-labelledby', 'aria-describedby', 'aria-owns'];
+
+  let webflowRefreshTimer = null;
+
+  /**
+   * Re-initializes Webflow Interactions (IX2) and lightboxes
+   * Cloned slides are new elements that Webflow hasn't bound yet.
+   */
+  function refreshWebflowModules() {
+    webflowRefreshTimer = null;
+
+    const webflow = window.Webflow;
+    if (!webflow || typeof webflow.require !== 'function') return;
+
+    try {
+      const ix2 = webflow.require('ix2');
+      if (ix2 && typeof ix2.init === 'function') {
+        ix2.init();
+      }
+
+      const lightbox = webflow.require('lightbox');
+      if (lightbox && typeof lightbox.ready === 'function') {
+        lightbox.ready();
+      }
+
+      log('Webflow interactions and lightboxes re-initialized', 'info');
+    } catch (error) {
+      log('Failed to re-initialize Webflow modules:', 'warn', error);
+    }
+  }
+
+  /**
+   * Schedules refreshWebflowModules(), debounced across all sliders
+   */
+  function scheduleWebflowRefresh() {
+    clearTimeout(webflowRefreshTimer);
+    webflowRefreshTimer = setTimeout(refreshWebflowModules, WEBFLOW_REFRESH_DELAY);
+  }
+
+  /**
+   * Slides that added slides were already fixed up for
+   * Swiper emits loopFix on every slide change in loop mode, so only slides
+   * not seen before trigger a Webflow refresh.
+   */
+  const processedClones = new WeakSet();
+
+  /**
+   * Finds slides that aren't original slides: copies made by the script
+   * (data-swiper-clone) and blank slides Swiper adds (loopAddBlankSlides)
+   *
+   * @param {Object} elements - References to Swiper elements
+   * @returns {HTMLElement[]} Added slides
+   */
+  function findClonedSlides(elements) {
+    return Array.from(elements.wrapper.children).filter(slide =>
+      slide.classList.contains(SWIPER_CLASSES.slide) && !elements.slides.includes(slide)
+    );
+  }
+
+  /**
+   * Gives elements inside cloned slides unique IDs
+   * References inside the clone (label for, aria-*, #anchors) follow the new ID.
+   *
+   * @param {HTMLElement} clone - A cloned slide
+   */
+  function dedupeClonedIds(clone) {
+    const renamed = {};
+
+    [clone, ...clone.querySelectorAll('[id]')].forEach(element => {
+      const id = element.id;
+      if (!id || document.getElementById(id) === element) return;
+
+      let suffix = 1;
+      while (document.getElementById(`${id}-clone-${suffix}`)) suffix++;
+
+      renamed[id] = `${id}-clone-${suffix}`;
+      element.id = renamed[id];
+    });
+
+    if (Object.keys(renamed).length === 0) return;
+
+    [clone, ...clone.querySelectorAll('*')].forEach(element => {
+      ID_REFERENCE_ATTRS.forEach(attrName => {
+        const value = element.getAttribute(attrName);
+        if (value) {
+          element.setAttribute(attrName, value.split(/\s+/).map(id => renamed[id] || id).join(' '));
+        }
+      });
+
+      const href = element.getAttribute('href');
+      if (href && href.charAt(0) === '#' && renamed[href.slice(1)]) {
+        element.setAttribute('href', `#${renamed[href.slice(1)]}`);
+      }
+    });
+  }
+
+  /**
+   * Fixes up added slides after init and whenever Swiper rebuilds the loop
+   * Swiper's loop mode moves the original slides, which keep their Webflow
+   * bindings; only new elements need IDs fixed and a Webflow refresh.
+   *
+   * @param {HTMLElement} component - The component element
+   * @param {Swiper} swiper - The Swiper instance
+   */
+  function bindLoopClones(component, swiper) {
+    const update = () => {
+      const elements = component.swiperElements;
+      if (!elements) return;
+
+      const clones = findClonedSlides(elements).filter(clone => !processedClones.has(clone));
+      if (clones.length === 0) return;
+
+      clones.forEach(clone => {
+        processedClones.add(clone);
+        dedupeClonedIds(clone);
+      });
+      scheduleWebflowRefresh();
+    };
+
+    swiper.on('loopFix', update);
+    update();
+  }
+
+  // ============================================================================
+  // WEBFLOW EDITOR & DESIGNER
+  // ============================================================================
+
+  /**
+   * Elements present while the Webflow Editor is open
+   */
+  const EDITOR_MARKERS = ['html.w-editor', 'body.w-editor', '.w-editor-body'];
+
+  let editorObserver = null;
+
+  /**
+   * Checks whether the page is shown in the Webflow Editor or Designer canvas
+   *
+   * - Editor: Webflow adds w-editor markers to the live page
+   * - Designer: the page is framed by a *.webflow.com document
+   *
+   * @returns {boolean} True in an editing context
+   */
+  function isEditorContext() {
+    if (EDITOR_MARKERS.some(selector => document.querySelector(selector))) {
+      return true;
+    }
+
+    try {
+      return window.self !== window.top &&
+        /(^|\.)webflow\.com$/.test(new URL(document.referrer).hostname);
+    } catch (error) {
+      // Cross-origin frames or no referrer: not the Designer
+      return false;
+    }
+  }
+
+  /**
+   * Reads the editor mode for a component (component attribute, then <html>/<body>)
+   *
+   * @returns {string} 'static' or 'init'
+   */
+  function getEditorMode(component) {
+    const value = component.getAttribute(EDITOR_ATTR) || getGlobalAttribute(EDITOR_ATTR);
+    return value === 'init' ? 'init' : 'static';
+  }
+
+  /**
+   * Switches to editor mode: static sliders are destroyed and pending lazy
+   * inits cancelled, so the editor works on the plain Webflow layout
+   */
+  function enterEditorMode() {
+    if (editorActive) return;
+
+    editorActive = true;
+    log('Webflow Editor opened, stopping sliders...', 'info');
+
+    const components = new Set([...instanceRegistry.keys(), ...lazyComponents.keys()]);
+    components.forEach(component => {
+      if (getEditorMode(component) !== 'static') return;
+
+      unwatchBreakpointToggle(component);
+      cancelLazyInit(component);
+      destroySwiperComponent(component);
+      component.setAttribute(STATE_ATTR, 'static');
+    });
+  }
+
+  /**
+   * Watches <html> and <body> for the Editor being opened after page load
+   */
+  function watchEditor() {
+    if (editorActive || editorObserver || typeof MutationObserver === 'undefined') return;
+
+    editorObserver = new MutationObserver(() => {
+      if (!isEditorContext()) return;
+
+      editorObserver.disconnect();
+      editorObserver = null;
+      enterEditorMode();
+    });
+
+    editorObserver.observe(document.documentElement, { attributes: true, attributeFilter: ['class'] });
+
+    // .w-editor-body is added as a child of <body>
+    if (document.body) {
+      editorObserver.observe(document.body, { attributes: true, attributeFilter: ['class'], childList: true });
+    }
+  }
+
+  // ============================================================================
+  // LAYOUT PLACEHOLDER (Pre-Init Sizing)
+  // ============================================================================
+
+  /**
+   * CSS custom properties published on the component
+   * swiper-attribute.css sizes pending slides with them
+   */
+  const LAYOUT_PROPERTIES = {
+    slidesPerView: '--swiper-slides-per-view',
+    spaceBetween: '--swiper-space-between',
+  };
+
+  /**
+   * Last parsed configuration per component, to republish on breakpoint changes
+   */
+  const layoutConfigs = new WeakMap();
+
+  /**
+   * Configuration parsed by prepareLayout(), reused by the initialization
+   * that follows so the attributes aren't parsed (and warned about) twice
+   */
+  const preparedConfigs = new WeakMap();
+
+  let layoutMediaQueries = null;
+
+  /**
+   * Resolves an option for the current viewport
+   * Base value, overridden by every matching breakpoint (mobile-first).
+   *
+   * @param {Object} config - Parsed configuration
+   * @param {string} key - Option name
+   * @returns {*} Value at the current viewport
+   */
+  function getViewportValue(config, key) {
+    let value = config[key];
+    if (!isObject(config.breakpoints) || typeof window.matchMedia !== 'function') return value;
+
+    Object.keys(config.breakpoints)
+      .filter(width => /^\d+$/.test(width))
+      .sort((a, b) => a - b)
+      .forEach(width => {
+        const values = config.breakpoints[width];
+        if (isObject(values) && values[key] !== undefined &&
+            window.matchMedia(`(min-width: ${width}px)`).matches) {
+          value = values[key];
+        }
+      });
+
+    return value;
+  }
+
+  /**
+   * Converts a spaceBetween value to a CSS length
+   * Swiper treats plain numbers (and numeric strings) as pixels.
+   */
+  function toCSSLength(value) {
+    if (typeof value === 'number' || /^-?\d+(\.\d+)?$/.test(String(value))) {
+      return `${value}px`;
+    }
+    return String(value);
+  }
+
+  /**
+   * Publishes --swiper-slides-per-view and --swiper-space-between for the
+   * current viewport. "auto" is published as-is, which leaves slide widths
+   * to their Webflow styles.
+   *
+   * @param {HTMLElement} component - The component element
+   * @param {Object} config - Parsed configuration
+   */
+  function publishLayoutProperties(component, config) {
+    layoutConfigs.set(component, config);
+
+    const slidesPerView = getViewportValue(config, 'slidesPerView');
+    const spaceBetween = getViewportValue(config, 'spaceBetween');
+
+    if (slidesPerView !== undefined && slidesPerView !== null) {
+      component.style.setProperty(LAYOUT_PROPERTIES.slidesPerView, String(slidesPerView));
+    }
+
+    if (spaceBetween !== undefined && spaceBetween !== null) {
+      component.style.setProperty(LAYOUT_PROPERTIES.spaceBetween, toCSSLength(spaceBetween));
+    }
+
+    watchLayoutBreakpoints();
+  }
+
+  /**
+   * Removes the layout properties when a slider is destroyed
+   */
+  function clearLayoutProperties(component) {
+    layoutConfigs.delete(component);
+
+    Object.values(LAYOUT_PROPERTIES).forEach(property => {
+      component.style.removeProperty(property);
+    });
+    if (!component.getAttribute('style')) {
+      component.removeAttribute('style');
+    }
+  }
+
+  /**
+   * Marks a component as pending and publishes its layout properties
+   * Used for sliders that are about to initialize or wait to become visible.
+   */
+  function prepareLayout(component) {
+    const config = parseConfiguration(component);
+    preparedConfigs.set(component, config);
+    publishLayoutProperties(component, config);
+    setPendingState(component);
+  }
+
+  /**
+   * Returns (and forgets) the configuration parsed by prepareLayout()
+   */
+  function takePreparedConfig(component) {
+    const config = preparedConfigs.get(component);
+    preparedConfigs.delete(component);
+    return config;
+  }
+
+  /**
+   * matchMedia listener: republishes layout properties for every component
+   */
+  function handleLayoutBreakpointChange() {
+    document.querySelectorAll(SELECTORS.component).forEach(component => {
+      const config = layoutConfigs.get(component);
+      if (config) {
+        publishLayoutProperties(component, config);
+      }
+    });
+  }
+
+  /**
+   * Republishes layout properties when a breakpoint is crossed
+   * One matchMedia listener per breakpoint width, shared by all components.
+   */
+  function watchLayoutBreakpoints() {
+    if (layoutMediaQueries || typeof window.matchMedia !== 'function') return;
+
+    layoutMediaQueries = Array.from(new Set(Object.values(breakpointMap)))
+      .filter(minWidth => minWidth > 0)
+      .map(minWidth => {
+        const mediaQuery = window.matchMedia(`(min-width: ${minWidth}px)`);
+        addMediaQueryListener(mediaQuery, handleLayoutBreakpointChange);
+        return mediaQuery;
+      });
+  }
+
+  /**
+   * Recreates the layout listeners after the breakpoint map changed
+   */
+  function resetLayoutBreakpointListeners() {
+    if (!layoutMediaQueries) return;
+
+    layoutMediaQueries.forEach(mediaQuery => {
+      removeMediaQueryListener(mediaQuery, handleLayoutBreakpointChange);
+    });
+    layoutMediaQueries = null;
+    watchLayoutBreakpoints();
+  }
+
+  /**
+   * Marks a component as waiting for initialization (data-swiper-state="pending")
+   * Designers can also set it in Webflow, so the layout applies before the script loads.
+   */
+  function setPendingState(component) {
+    if (!component.hasAttribute(STATE_ATTR)) {
+      component.setAttribute(STATE_ATTR, 'pending');
+    }
+  }
+
+  /**
+   * Removes the pending state once the slider runs or is disabled
+   */
+  function clearPendingState(component) {
+    if (component.getAttribute(STATE_ATTR) === 'pending') {
+      component.removeAttribute(STATE_ATTR);
+    }
+  }
+
+  // ============================================================================
+  // ERROR STATE
+  // ============================================================================
+
+  /**
+   * Reasons that can resolve themselves once content arrives (CMS Load, AJAX)
+   * Other failures are only retried on an explicit init.
+   */
+  const RETRYABLE_ERRORS = ['empty', 'no-wrapper'];
+
+  /**
+   * Listeners added with onError()
+   */
+  const errorListeners = new Set();
+
+  /**
+   * Marks a component as failed
+   * data-swiper-state="error" (or "empty" for sliders without slides) lets
+   * CSS hide orphaned controls; data-swiper="empty" elements are shown for
+   * sliders without slides.
+   *
+   * @param {HTMLElement} component - The component element
+   * @param {string} reason - Reason code for data-swiper-error
+   */
+  function setErrorState(component, reason) {
+    component.setAttribute(STATE_ATTR, reason === 'empty' ? 'empty' : 'error');
+    component.setAttribute(ERROR_ATTR, reason);
+    setEmptyElementsVisible(component, reason === 'empty');
+  }
+
+  /**
+   * Removes the error state after a successful initialization
+   */
+  function clearErrorState(component) {
+    if (isErrorState(component)) {
+      component.removeAttribute(STATE_ATTR);
+    }
+    component.removeAttribute(ERROR_ATTR);
+    setEmptyElementsVisible(component, false);
+  }
+
+  /**
+   * Checks whether a component is marked as failed or empty
+   */
+  function isErrorState(component) {
+    const state = component.getAttribute(STATE_ATTR);
+    return state === 'error' || state === 'empty';
+  }
+
+  /**
+   * Shows or hides a component's data-swiper="empty" elements
+   * Hidden by swiper-attribute.css unless marked data-swiper-state="visible".
+   */
+  function setEmptyElementsVisible(component, visible) {
+    findOwnElements(component, SELECTORS.empty).forEach(element => {
+      if (visible) {
+        element.setAttribute(STATE_ATTR, 'visible');
+      } else {
+        element.removeAttribute(STATE_ATTR);
+      }
+    });
+  }
+
+  /**
+   * Records a failed initialization and reports it
+   *
+   * @param {HTMLElement} component - The component element
+   * @param {Error} error - The error thrown during initialization
+   * @param {Object|null} [elements] - Prepared elements to restore, if any
+   */
+  function handleInitError(component, error, elements = null) {
+    const reason = error.reason || 'init-failed';
+
+    // An empty CMS list is usually intended, so it's not reported as an error
+    log(`Initialization failed: ${error.message}`, reason === 'empty' ? 'warn' : 'error', error);
+
+    // Swiper threw after the elements were prepared: restore the Webflow layout
+    if (elements) {
+      restoreSwiperElements(elements);
+    }
+
+    setErrorState(component, reason);
+
+    const detail = {
+      component,
+      id: component.getAttribute(LINK_ATTRS.id),
+      error,
+      reason,
+    };
+
+    dispatchSwiperEvent(component, 'swiper:error', detail);
+
+    errorListeners.forEach(listener => {
+      try {
+        listener(detail);
+      } catch (listenerError) {
+        log(`Error in onError listener: ${listenerError.message}`, 'error', listenerError);
+      }
+    });
+  }
+
+  /**
+   * Whether a component now has a wrapper with slides
+   * Mutations that don't add slides (including the script's own cleanup
+   * after an error) would only fail again for the same reason.
+   */
+  function hasSlideContent(component) {
+    const container = findOwnElements(component, SELECTORS.container)[0];
+    const wrapper = container && findOwnElements(component, SELECTORS.wrapper)
+      .find(element => container.contains(element));
+
+    return Boolean(wrapper) && findSlides(wrapper).length > 0;
+  }
+
+  /**
+   * Finds the failed component a mutated node belongs to, if it can be retried
+   */
+  function findRetryableComponent(node) {
+    const component = node.closest ? node.closest(SELECTORS.component) : null;
+
+    return component &&
+      isErrorState(component) &&
+      RETRYABLE_ERRORS.includes(component.getAttribute(ERROR_ATTR)) &&
+      hasSlideContent(component)
+      ? component
+      : null;
+  }
+
+  /**
+   * Adds an onError() listener
+   *
+   * @param {Function} listener - Called with { component, id, error, reason }
+   * @returns {Function} Unsubscribe function
+   */
+  function addErrorListener(listener) {
+    if (typeof listener !== 'function') {
+      log('onError expects a function', 'error');
+      return () => {};
+    }
+
+    errorListeners.add(listener);
+    return () => errorListeners.delete(listener);
+  }
+
+  // ============================================================================
+  // FEW SLIDES (Loop Fill, Unused Controls)
+  // ============================================================================
+
+  /**
+   * Swiper events after which the number of visible slides may have changed
+   */
+  const FEW_SLIDES_EVENTS = ['breakpoint', 'slidesLengthChange', 'update', 'resize'];
+
+  /**
+   * Checks whether too-few-slides handling is on for a component
+   */
+  function isFewSlidesEnabled(component) {
+    const value = component.getAttribute(FEW_SLIDES_ATTR) || getGlobalAttribute(FEW_SLIDES_ATTR);
+    return value !== 'ignore' && value !== 'false';
+  }
+
+  /**
+   * Reads the loop fill mode for a component (component attribute, then <html>/<body>)
+   *
+   * @returns {string} 'disable' or 'duplicate'
+   */
+  function getLoopFillMode(component) {
+    const value = component.getAttribute(LOOP_FILL_ATTR) || getGlobalAttribute(LOOP_FILL_ATTR);
+    return value === 'duplicate' ? 'duplicate' : 'disable';
+  }
+
+  /**
+   * Elements inside copied slides that would otherwise take keyboard focus
+   */
+  const CLONE_FOCUSABLE_SELECTOR = 'a[href], button, input, select, textarea, iframe, video[controls], [tabindex]';
+
+  /**
+   * Returns the original slides followed by the copies
+   */
+  function getAllSlides(elements) {
+    return elements.slides.concat(elements.fillClones || []);
+  }
+
+  /**
+   * Counts the slides Swiper will see, including copies
+   */
+  function getSlideCount(elements) {
+    return elements.slides.length + (elements.fillClones ? elements.fillClones.length : 0);
+  }
+
+  /**
+   * Resolves the options in effect at every breakpoint (mobile-first)
+   * Each stage holds the base options overridden by all smaller breakpoints.
+   *
+   * @param {Object} config - Parsed configuration
+   * @returns {Array<{width: string|null, values: Object}>} Base stage first
+   */
+  function getBreakpointStages(config) {
+    const stages = [{ width: null, values: config }];
+    if (!isObject(config.breakpoints)) return stages;
+
+    let values = config;
+    Object.keys(config.breakpoints)
+      .filter(width => /^\d+$/.test(width))
+      .sort((a, b) => a - b)
+      .forEach(width => {
+        if (!isObject(config.breakpoints[width])) return;
+        values = { ...values, ...config.breakpoints[width] };
+        stages.push({ width, values });
+      });
+
+    return stages;
+  }
+
+  /**
+   * Checks whether loop is on at any breakpoint
+   */
+  function hasLoop(config) {
+    return !!config && getBreakpointStages(config).some(stage => !!stage.values.loop);
+  }
+
+  /**
+   * Number of slides Swiper needs for loop mode (mirrors its loop warning)
+   * "auto" slides per view depends on slide widths and can't be checked upfront.
+   *
+   * @param {Object} values - Options in effect at a breakpoint
+   * @returns {number|null} Minimum slide count, or null if unknown
+   */
+  function getLoopSlidesNeeded(values) {
+    if (values.slidesPerView === 'auto') return null;
+
+    let perView = Math.ceil(parseFloat(values.slidesPerView) || 1);
+    if (values.centeredSlides && perView % 2 === 0) {
+      perView += 1;
+    }
+
+    const perGroup = values.slidesPerGroupAuto ? perView : (parseInt(values.slidesPerGroup, 10) || 1);
+    const additional = parseInt(values.loopAdditionalSlides, 10) || 0;
+    const rows = isObject(values.grid) && values.grid.rows > 1 ? values.grid.rows : 1;
+
+    return (perView + perGroup + additional) * rows;
+  }
+
+  /**
+   * Turns loop off at breakpoints without enough slides
+   * Loop is set explicitly at every breakpoint that uses it, because Swiper
+   * only applies the values of the active breakpoint.
+   *
+   * @param {Object} config - Swiper configuration (modified)
+   * @param {number} slideCount - Number of slides
+   * @param {HTMLElement} [component] - The component (for debug logs)
+   */
+  function applyLoopLimits(config, slideCount, component) {
+    const hasEnough = values => {
+      const needed = getLoopSlidesNeeded(values);
+      return needed === null || slideCount >= needed;
+    };
+
+    const stages = getBreakpointStages(config);
+    const breakpoints = isObject(config.breakpoints) ? { ...config.breakpoints } : null;
+
+    stages.forEach(({ width, values }) => {
+      if (!values.loop) return;
+
+      const loop = hasEnough(values);
+      if (!loop) {
+        log(`Not enough slides for loop${width ? ` at ${width}px` : ''} (${slideCount}), loop disabled`, 'info', null, component);
+      }
+
+      if (width === null) {
+        config.loop = loop ? config.loop : false;
+      } else {
+        breakpoints[width] = { ...breakpoints[width], loop: loop ? values.loop : false };
+      }
+    });
+
+    if (breakpoints) {
+      config.breakpoints = breakpoints;
+    }
+  }
+
+  /**
+   * Copies the slides (as whole sets, keeping their order) until loop mode
+   * has enough at every breakpoint
+   *
+   * @param {Object} elements - References to Swiper elements
+   * @param {Object} config - Parsed configuration
+   */
+  function fillLoopSlides(elements, config) {
+    const needed = getBreakpointStages(config)
+      .filter(stage => stage.values.loop)
+      .map(stage => getLoopSlidesNeeded(stage.values))
+      .filter(count => count !== null);
+
+    const slideCount = elements.slides.length;
+    const target = Math.max(0, ...needed);
+    if (slideCount === 0 || slideCount >= target) return;
+
+    appendSlideCopies(elements, Math.ceil(target / slideCount) - 1, 'fill');
+    log(`Duplicated ${elements.fillClones.length} slide(s) for loop mode`, 'info', null, elements.component);
+  }
+
+  /**
+   * Appends copies of all slides to the wrapper, as whole sets in order
+   * Copies are marked with data-swiper-clone and tracked in elements.fillClones.
+   *
+   * @param {Object} elements - References to Swiper elements
+   * @param {number} copies - Number of sets to append
+   * @param {string} type - data-swiper-clone value ("fill" or "marquee")
+   */
+  function appendSlideCopies(elements, copies, type) {
+    for (let i = 0; i < copies; i++) {
+      elements.slides.forEach(slide => {
+        const clone = slide.cloneNode(true);
+        clone.setAttribute(CLONE_ATTR, type);
+
+        // Nested sliders in the copy initialize on their own
+        clone.querySelectorAll(`[${INITIALIZED_ATTR}]`).forEach(element => {
+          element.removeAttribute(INITIALIZED_ATTR);
+        });
+
+        // Screen readers and keyboard users get each slide once, from the original
+        clone.setAttribute('aria-hidden', 'true');
+        clone.querySelectorAll(CLONE_FOCUSABLE_SELECTOR).forEach(element => {
+          element.setAttribute('tabindex', '-1');
+        });
+
+        elements.wrapper.appendChild(clone);
+        dedupeClonedIds(clone);
+        elements.fillClones.push(clone);
+      });
+    }
+  }
+
+  /**
+   * Keeps pagination at one bullet per real slide when slides were copied
+   * Swiper counts the copies as slides; their bullets are hidden and the
+   * bullet of the original slide is marked active instead.
+   *
+   * @param {Swiper} swiper - The Swiper instance
+   * @param {Object} elements - References to Swiper elements
+   */
+  function bindClonePagination(swiper, elements) {
+    if (elements.fillClones.length === 0 || elements.pagination.length === 0) return;
+
+    const update = () => {
+      const params = isObject(swiper.params.pagination) ? swiper.params.pagination : {};
+      const count = elements.slides.length;
+      const index = (swiper.realIndex || 0) % count;
+      const bulletClass = params.bulletClass || 'swiper-pagination-bullet';
+      const activeClass = params.bulletActiveClass || 'swiper-pagination-bullet-active';
+
+      elements.pagination.forEach(pagination => {
+        pagination.querySelectorAll(`.${bulletClass}`).forEach((bullet, bulletIndex) => {
+          bullet.style.display = bulletIndex < count ? '' : 'none';
+          bullet.classList.toggle(activeClass, bulletIndex === index);
+        });
+
+        // Fraction pagination ("3 / 12")
+        pagination.querySelectorAll(`.${params.currentClass || 'swiper-pagination-current'}`).forEach(element => {
+          element.textContent = String(index + 1);
+        });
+        pagination.querySelectorAll(`.${params.totalClass || 'swiper-pagination-total'}`).forEach(element => {
+          element.textContent = String(count);
+        });
+      });
+    };
+
+    swiper.on('paginationRender', update);
+    swiper.on('paginationUpdate', update);
+    update();
+  }
+
+  /**
+   * Removes the copies added by fillLoopSlides()
+   */
+  function removeFillClones(elements) {
+    (elements.fillClones || []).forEach(clone => clone.remove());
+    elements.fillClones = [];
+  }
+
+  /**
+   * Controls that have nothing to do when all slides are visible
+   */
+  function getScrollControls(elements) {
+    return [
+      ...elements.navPrev,
+      ...elements.navNext,
+      ...elements.pagination,
+      ...[].concat(elements.scrollbar || []),
+      ...(elements.playToggle || []),
+    ];
+  }
+
+  /**
+   * Hides or shows the scroll controls (data-swiper-state="hidden")
+   */
+  function setControlsHidden(elements, hidden) {
+    getScrollControls(elements).forEach(control => {
+      if (hidden) {
+        control.setAttribute(STATE_ATTR, 'hidden');
+      } else if (control.getAttribute(STATE_ATTR) === 'hidden') {
+        control.removeAttribute(STATE_ATTR);
+      }
+    });
+  }
+
+  /**
+   * Checks whether all slides fit at the active breakpoint
+   * swiper.params holds the values of the active breakpoint.
+   *
+   * @param {Swiper} swiper - The Swiper instance
+   * @param {Object} elements - References to Swiper elements
+   * @returns {boolean} True if there is nothing to scroll
+   */
+  function allSlidesVisible(swiper, elements) {
+    const params = swiper.params || {};
+
+    if (params.slidesPerView === 'auto') {
+      return !!swiper.isLocked;
+    }
+
+    const rows = isObject(params.grid) && params.grid.rows > 1 ? params.grid.rows : 1;
+    return getSlideCount(elements) <= (parseFloat(params.slidesPerView) || 1) * rows;
+  }
+
+  /**
+   * Hides the slider's controls whenever all slides are visible
+   *
+   * @param {Swiper} swiper - The Swiper instance
+   * @param {Object} elements - References to Swiper elements
+   */
+  function bindFewSlides(swiper, elements) {
+    if (!elements.fewSlides || getScrollControls(elements).length === 0) return;
+
+    const update = () => setControlsHidden(elements, allSlidesVisible(swiper, elements));
+    FEW_SLIDES_EVENTS.forEach(eventName => swiper.on(eventName, update));
+    update();
+  }
+
+  // ============================================================================
+  // MARQUEE MODE
+  // ============================================================================
+
+  /**
+   * Default marquee speed in pixels per second
+   */
+  const MARQUEE_DEFAULT_SPEED = 50;
+
+  /**
+   * Upper limit for copied slide sets, for very small slides
+   */
+  const MARQUEE_MAX_COPIES = 20;
+
+  /**
+   * Defaults for marquee sliders, below presets and attributes
+   * Slides keep their own width, and dragging would fight the movement.
+   */
+  const MARQUEE_DEFAULTS = {
+    slidesPerView: 'auto',
+    allowTouchMove: false,
+  };
+
+  /**
+   * Reads the marquee options of a component
+   *
+   * @param {HTMLElement} component - The component element
+   * @returns {Object|null} { speed, reverse, pause, slideSize }, or null if not a marquee
+   *   slideSize (average slide size plus gap) is measured by fillMarqueeSlides()
+   */
+  function getMarqueeOptions(component) {
+    if (component.getAttribute(MODE_ATTR) !== 'marquee') return null;
+
+    const speed = parseFloat(component.getAttribute(MARQUEE_ATTRS.speed));
+    const direction = component.getAttribute(MARQUEE_ATTRS.direction);
+
+    return {
+      speed: speed > 0 ? speed : MARQUEE_DEFAULT_SPEED,
+      reverse: direction === 'right' || direction === 'down',
+      pause: component.getAttribute(MARQUEE_ATTRS.pause) !== 'false',
+      slideSize: 0,
+    };
+  }
+
+  /**
+   * Converts a distance in pixels to a transition duration at marquee speed
+   */
+  function getMarqueeDuration(distance, marquee) {
+    return Math.max(1, Math.round((distance / marquee.speed) * 1000));
+  }
+
+  /**
+   * Sets the options that make a marquee move (see MARQUEE_DEFAULTS for the rest)
+   * loop, speed and autoplay are always replaced.
+   *
+   * @param {Object} config - Swiper configuration (modified)
+   * @param {Object} marquee - Options from getMarqueeOptions()
+   */
+  function applyMarqueeConfig(config, marquee) {
+    // Refined per step by updateMarqueeSpeed() once slide sizes are known
+    config.speed = getMarqueeDuration(marquee.slideSize || 200, marquee);
+    config.loop = true;
+    config.autoplay = {
+      delay: 0,
+      disableOnInteraction: false,
+      reverseDirection: marquee.reverse,
+    };
+  }
+
+  /**
+   * Measures the original slides along the slider direction
+   *
+   * @returns {number} Length of one set of slides without gaps, in pixels
+   */
+  function measureSlideSet(elements, vertical) {
+    return elements.slides.reduce((total, slide) => {
+      const rect = slide.getBoundingClientRect();
+      return total + (vertical ? rect.height : rect.width);
+    }, 0);
+  }
+
+  /**
+   * Copies the slides until one set fits the screen with a set to spare,
+   * so the track never runs out, even on ultrawide screens
+   *
+   * @param {Object} elements - References to Swiper elements
+   * @param {Object} config - Parsed configuration
+   */
+  function fillMarqueeSlides(elements, config) {
+    const vertical = config.direction === 'vertical';
+    const gap = parseFloat(getViewportValue(config, 'spaceBetween')) || 0;
+    const slidesSize = measureSlideSet(elements, vertical);
+
+    // Gaps only count once the slides themselves have a size
+    const setSize = slidesSize > 0 ? slidesSize + gap * elements.slides.length : 0;
+
+    // The screen size covers a window resized up to full screen later
+    const screenSize = vertical
+      ? elements.container.clientHeight
+      : Math.max(window.innerWidth, window.screen ? window.screen.width : 0);
+
+    // Slides that aren't laid out yet (hidden tab) get a fixed number of sets
+    const copies = setSize > 0 ? Math.ceil(screenSize / setSize) : 2;
+
+    elements.marquee.slideSize = setSize > 0 ? setSize / elements.slides.length : 0;
+    appendSlideCopies(elements, Math.min(Math.max(copies, 1), MARQUEE_MAX_COPIES), 'marquee');
+  }
+
+  /**
+   * Sets the transition duration of the next step to match the marquee speed
+   * Each autoplay step moves one slide, so the duration follows its size.
+   */
+  function updateMarqueeSpeed(swiper, marquee) {
+    const sizes = swiper.slidesSizesGrid || [];
+    const index = marquee.reverse ? swiper.activeIndex - 1 : swiper.activeIndex;
+    const gap = parseFloat(swiper.params.spaceBetween) || 0;
+    const distance = sizes[index] !== undefined ? sizes[index] + gap : marquee.slideSize;
+
+    if (distance > 0) {
+      swiper.params.speed = getMarqueeDuration(distance, marquee);
+    }
+  }
+
+  /**
+   * Keeps the marquee at a constant speed and pauses it on hover and focus
+   * Pausing freezes the track in place; resuming finishes the current step
+   * at the same speed before autoplay takes over again.
+   *
+   * @param {Swiper} swiper - The Swiper instance
+   * @param {Object} elements - References to Swiper elements
+   */
+  function bindMarquee(swiper, elements) {
+    const marquee = elements.marquee;
+    if (!marquee || elements.reducedMotion) return;
+
+    swiper.on('slideChange', () => updateMarqueeSpeed(swiper, marquee));
+    updateMarqueeSpeed(swiper, marquee);
+
+    if (!marquee.pause) return;
+
+    let paused = false;
+
+    const pause = () => {
+      if (paused || !isAutoplayRunning(swiper)) return;
+      paused = true;
+
+      const translate = swiper.getTranslate();
+      swiper.autoplay.stop();
+      swiper.setTransition(0);
+      swiper.setTranslate(translate);
+    };
+
+    const resume = () => {
+      if (!paused || swiper.destroyed) return;
+      paused = false;
+
+      const snap = swiper.snapGrid[swiper.snapIndex] || 0;
+      const target = swiper.rtlTranslate ? snap : -snap;
+      const distance = Math.abs(target - swiper.getTranslate());
+
+      if (distance < 1) {
+        swiper.autoplay.start();
+        return;
+      }
+
+      swiper.once('transitionEnd', () => {
+        if (!paused && !swiper.destroyed) {
+          updateMarqueeSpeed(swiper, marquee);
+          swiper.autoplay.start();
+        }
+      });
+      swiper.slideTo(swiper.activeIndex, getMarqueeDuration(distance, marquee), false);
+    };
+
+    // Keyboard users can stop it too (WCAG 2.2.2 Pause, Stop, Hide)
+    const handleFocusOut = (event) => {
+      if (!elements.container.contains(event.relatedTarget)) resume();
+    };
+
+    elements.container.addEventListener('mouseenter', pause);
+    elements.container.addEventListener('mouseleave', resume);
+    elements.container.addEventListener('focusin', pause);
+    elements.container.addEventListener('focusout', handleFocusOut);
+
+    swiper.on('destroy', () => {
+      elements.container.removeEventListener('mouseenter', pause);
+      elements.container.removeEventListener('mouseleave', resume);
+      elements.container.removeEventListener('focusin', pause);
+      elements.container.removeEventListener('focusout', handleFocusOut);
+    });
+  }
+
+  // ============================================================================
+  // DEEP LINKING & STATE PERSISTENCE
+  // ============================================================================
+
+  /**
+   * Prefix for storage keys of data-swiper-remember
+   */
+  const STORAGE_KEY_PREFIX = 'webflow-swiper:';
+
+  /**
+   * Names a slide for links and storage: its data-swiper-slide-key,
+   * or its 1-based position
+   *
+   * @param {Object} elements - References to Swiper elements
+   * @param {number} index - 0-based slide index
+   * @returns {string} Slide reference
+   */
+  function getSlideReference(elements, index) {
+    const slide = elements.slides[index];
+    const key = slide ? slide.getAttribute(SLIDE_KEY_ATTR) : null;
+    return key || String(index + 1);
+  }
+
+  /**
+   * Resolves a slide reference from getSlideReference()
+   * Keys are matched first, so links keep working when CMS items are reordered.
+   *
+   * @param {Object} elements - References to Swiper elements
+   * @param {string} reference - Slide key or 1-based position
+   * @returns {number|null} 0-based slide index, or null if there is no such slide
+   */
+  function findSlideIndex(elements, reference) {
+    if (!reference) return null;
+
+    const keyIndex = elements.slides.findIndex(slide => slide.getAttribute(SLIDE_KEY_ATTR) === reference);
+    if (keyIndex >= 0) return keyIndex;
+
+    const position = /^\d+$/.test(reference) ? parseInt(reference, 10) : NaN;
+    return position >= 1 && position <= elements.slides.length ? position - 1 : null;
+  }
+
+  /**
+   * Reads the hash as parameters (#plan=pro)
+   */
+  function getHashParams() {
+    return new URLSearchParams(window.location.hash.slice(1));
+  }
+
+  /**
+   * Reads a slide reference from the query string, then the hash
+   */
+  function readUrlParam(name) {
+    const query = new URLSearchParams(window.location.search);
+    if (query.has(name)) return query.get(name);
+
+    const hash = getHashParams();
+    return hash.has(name) ? hash.get(name) : null;
+  }
+
+  /**
+   * Writes a slide reference into the URL without adding a history entry
+   * The hash is used when the parameter came from the hash, the query string otherwise.
+   */
+  function writeUrlParam(name, value) {
+    if (!window.history || typeof window.history.replaceState !== 'function') return;
+
+    const url = new URL(window.location.href);
+    const hash = getHashParams();
+
+    if (!url.searchParams.has(name) && hash.has(name)) {
+      hash.set(name, value);
+      url.hash = hash.toString();
+    } else {
+      url.searchParams.set(name, value);
+    }
+
+    window.history.replaceState(window.history.state, '', url.toString());
+  }
+
+  /**
+   * Returns the storage for a data-swiper-remember mode
+   * Storage can be unavailable (privacy settings, sandboxed frames).
+   *
+   * @returns {Storage|null} sessionStorage, localStorage or null
+   */
+  function getRememberStorage(component) {
+    const mode = component.getAttribute(REMEMBER_ATTR);
+    if (mode !== 'session' && mode !== 'local') return null;
+
+    try {
+      return mode === 'local' ? window.localStorage : window.sessionStorage;
+    } catch (error) {
+      log('Storage is not available, data-swiper-remember is ignored', 'warn', error);
+      return null;
+    }
+  }
+
+  /**
+   * Storage key for a component, or null without data-swiper-id
+   */
+  function getStorageKey(component) {
+    const id = component.getAttribute(LINK_ATTRS.id);
+    return id ? `${STORAGE_KEY_PREFIX}${id}` : null;
+  }
+
+  /**
+   * Finds the slide to open: the URL parameter wins over the remembered slide
+   *
+   * @param {HTMLElement} component - The component element
+   * @param {Object} elements - References to Swiper elements
+   * @returns {number|null} 0-based slide index, or null to keep initialSlide
+   */
+  function getLinkedSlideIndex(component, elements) {
+    const param = component.getAttribute(URL_PARAM_ATTR);
+    if (param) {
+      const index = findSlideIndex(elements, readUrlParam(param));
+      if (index !== null) return index;
+    }
+
+    const storage = getRememberStorage(component);
+    const key = getStorageKey(component);
+    if (!storage || !key) return null;
+
+    try {
+      return findSlideIndex(elements, storage.getItem(key));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Keeps the URL parameter and the remembered slide in sync with the slider
+   * The URL is only written on slide changes, so untouched sliders don't add it.
+   *
+   * @param {HTMLElement} component - The component element
+   * @param {Swiper} swiper - The Swiper instance
+   * @param {Object} elements - References to Swiper elements
+   */
+  function bindDeepLink(component, swiper, elements) {
+    const param = component.getAttribute(URL_PARAM_ATTR);
+    const storage = getRememberStorage(component);
+    const key = getStorageKey(component);
+
+    if (storage && !key) {
+      log('data-swiper-remember needs a data-swiper-id to store the slide under', 'warn');
+    }
+
+    // A marquee changes slides continuously; there is no slide to link to
+    if ((!param && !(storage && key)) || elements.marquee) return;
+
+    swiper.on('slideChange', () => {
+      const loop = swiper.params && swiper.params.loop;
+      // Copies from data-swiper-loop-fill="duplicate" repeat the real slides
+      const index = (loop ? swiper.realIndex : swiper.activeIndex) % elements.slides.length;
+      const reference = getSlideReference(elements, index);
+
+      if (param) {
+        writeUrlParam(param, reference);
+      }
+
+      if (storage && key) {
+        try {
+          storage.setItem(key, reference);
+        } catch (error) {
+          log('Could not store the active slide', 'warn', error);
+        }
+      }
+    });
+  }
+
+  // ============================================================================
+  // PRESETS
+  // ============================================================================
+
+  /**
+   * Presets registered with WebflowSwiper.registerPreset()
+   */
+  const presetRegistry = new Map();
+
+  /**
+   * Registers a named preset
+   * Components already using the preset are rebuilt with the new values.
+   *
+   * @param {string} name - Preset name referenced by data-swiper-preset
+   * @param {Object} config - Swiper options; breakpoints may use suffix names
+   *   Example: { slidesPerView: 1, breakpoints: { tablet: { slidesPerView: 2 } } }
+   */
+  function registerPreset(name, config) {
+    if (typeof name !== 'string' || !name.trim() || /\s/.test(name.trim()) || !isObject(config)) {
+      log('registerPreset expects a name without spaces and a config object', 'error', { name, config });
+      return;
+    }
+
+    presetRegistry.set(name.trim(), config);
+    log(`Preset "${name}" registered`, 'info', config);
+
+    if (systemInitialized) {
+      document.querySelectorAll(`${SELECTORS.component}[${INITIALIZED_ATTR}]`).forEach(component => {
+        if (parseIdList(component.getAttribute(PRESET_ATTR)).includes(name.trim())) {
+          reinitializeSwiperComponent(component);
+        }
+      });
+    }
+  }
+
+  /**
+   * Finds a preset by name
+   * Registered presets take precedence over JSON script blocks:
+   * <script type="application/json" data-swiper-preset="cards">{ ... }</script>
+   *
+   * @param {string} name - Preset name
+   * @returns {Object|null} Preset configuration
+   */
+  function getPreset(name) {
+    if (presetRegistry.has(name)) {
+      return presetRegistry.get(name);
+    }
+
+    const script = Array.from(document.querySelectorAll(`script[type="application/json"][${PRESET_ATTR}]`))
+      .find(element => element.getAttribute(PRESET_ATTR) === name);
+    if (!script) return null;
+
+    const config = safeJSONParse(script.textContent.trim(), null, true);
+    if (!isObject(config)) {
+      log(`Preset "${name}" script does not contain a valid JSON object`, 'warn', script);
+      return null;
+    }
+
+    return config;
+  }
+
+  /**
+   * Converts preset breakpoints keyed by suffix ("tablet") to pixel widths
+   * Pixel keys are kept as-is, so both styles can be mixed.
+   */
+  function normalizePresetBreakpoints(breakpoints) {
+    const normalized = {};
+
+    Object.keys(breakpoints).forEach(key => {
+      const minWidth = key in breakpointMap ? breakpointMap[key] : key;
+      normalized[minWidth] = deepMerge(normalized[minWidth] || {}, breakpoints[key]);
+    });
+
+    return normalized;
+  }
+
+  /**
+   * Merges all presets referenced by a component, in order
+   * Later presets override earlier ones: data-swiper-preset="base cards"
+   *
+   * @param {HTMLElement} component - The component element
+   * @returns {Object} Combined preset configuration
+   */
+  function resolvePresetConfig(component) {
+    return parseIdList(component.getAttribute(PRESET_ATTR)).reduce((combined, name) => {
+      const preset = getPreset(name);
+
+      if (!preset) {
+        log(`Preset "${name}" not found. Register it with WebflowSwiper.registerPreset() or a JSON script block.`, 'warn', component);
+        return combined;
+      }
+
+      const presetConfig = { ...preset };
+      if (isObject(presetConfig.breakpoints)) {
+        presetConfig.breakpoints = normalizePresetBreakpoints(presetConfig.breakpoints);
+      }
+
+      return deepMerge(combined, presetConfig);
+    }, {});
+  }
+
+  // ============================================================================
+  // INSTANCE REGISTRY
+  // ============================================================================
+
+  /**
+   * Live registry of initialized sliders: component → Swiper instance
+   * Updated on every init and destroy, including MutationObserver changes.
+   */
+  const instanceRegistry = new Map();
+
+  /**
+   * Pending whenReady() promises: data-swiper-id → resolve callbacks
+   */
+  const pendingReadyCallbacks = new Map();
+
+  /**
+   * Listeners added with onRegister() / onUnregister()
+   */
+  const registryListeners = {
+    register: new Set(),
+    unregister: new Set(),
+  };
+
+  /**
+   * Returns all registered Swiper instances, in initialization order
+   */
+  function getRegisteredInstances() {
+    return Array.from(instanceRegistry.values());
+  }
+
+  /**
+   * Builds the entry passed to registry listeners
+   */
+  function getRegistryEntry(component, swiper) {
+    return {
+      id: component.getAttribute(LINK_ATTRS.id),
+      swiper,
+      component,
+    };
+  }
+
+  /**
+   * Calls registry listeners, isolating errors thrown by user code
+   */
+  function notifyRegistryListeners(type, entry) {
+    registryListeners[type].forEach(listener => {
+      try {
+        listener(entry);
+      } catch (error) {
+        log(`Error in ${type === 'register' ? 'onRegister' : 'onUnregister'} listener: ${error.message}`, 'error', error);
+      }
+    });
+  }
+
+  /**
+   * Adds an initialized slider to the registry
+   *
+   * @param {HTMLElement} component - The component element
+   * @param {Swiper} swiper - Its Swiper instance
+   */
+  function registerInstance(component, swiper) {
+    instanceRegistry.set(component, swiper);
+    window.swiperInstances = getRegisteredInstances();
+
+    const entry = getRegistryEntry(component, swiper);
+
+    if (entry.id && pendingReadyCallbacks.has(entry.id)) {
+      pendingReadyCallbacks.get(entry.id).forEach(resolve => resolve(swiper));
+      pendingReadyCallbacks.delete(entry.id);
+    }
+
+    notifyRegistryListeners('register', entry);
+  }
+
+  /**
+   * Removes a slider from the registry (called before it is destroyed)
+   *
+   * @param {HTMLElement} component - The component element
+   */
+  function unregisterInstance(component) {
+    const swiper = instanceRegistry.get(component);
+    if (!swiper) return;
+
+    instanceRegistry.delete(component);
+    window.swiperInstances = getRegisteredInstances();
+
+    notifyRegistryListeners('unregister', getRegistryEntry(component, swiper));
+  }
+
+  /**
+   * Finds a registered Swiper instance by data-swiper-id
+   *
+   * @param {string} id - Value of data-swiper-id
+   * @returns {Swiper|null} The instance, or null if not initialized
+   */
+  function getInstanceById(id) {
+    for (const [component, swiper] of instanceRegistry) {
+      if (component.getAttribute(LINK_ATTRS.id) === id) {
+        return swiper;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Resolves with the Swiper instance for an ID once it is initialized
+   * Works for sliders added later via dynamic content.
+   *
+   * @param {string} id - Value of data-swiper-id
+   * @returns {Promise<Swiper>} Resolves with the instance
+   */
+  function whenInstanceReady(id) {
+    const swiper = getInstanceById(id);
+    if (swiper) {
+      return Promise.resolve(swiper);
+    }
+
+    return new Promise(resolve => {
+      if (!pendingReadyCallbacks.has(id)) {
+        pendingReadyCallbacks.set(id, []);
+      }
+      pendingReadyCallbacks.get(id).push(resolve);
+    });
+  }
+
+  /**
+   * Adds a registry listener
+   *
+   * @param {string} type - "register" or "unregister"
+   * @param {Function} listener - Called with { id, swiper, component }
+   * @returns {Function} Call to remove the listener
+   */
+  function addRegistryListener(type, listener) {
+    if (typeof listener !== 'function') {
+      log(`${type === 'register' ? 'onRegister' : 'onUnregister'} expects a function`, 'error');
+      return () => {};
+    }
+
+    registryListeners[type].add(listener);
+    return () => registryListeners[type].delete(listener);
+  }
+
+  // ============================================================================
+  // EVENTS (DOM Events & Attribute Hooks)
+  // ============================================================================
+
+  /**
+   * Dispatches a bubbling CustomEvent
+   *
+   * @param {EventTarget} target - Component element or document
+   * @param {string} name - Event name, e.g. "swiper:slidechange"
+   * @param {Object} detail - Event detail
+   */
+  function dispatchSwiperEvent(target, name, detail) {
+    target.dispatchEvent(new CustomEvent(name, { bubbles: true, detail }));
+  }
+
+  /**
+   * Builds the detail object shared by all component events
+   */
+  function getEventDetail(component, swiper) {
+    return {
+      swiper,
+      component,
+      id: component.getAttribute(LINK_ATTRS.id),
+      activeIndex: swiper.activeIndex,
+      realIndex: swiper.realIndex,
+      previousIndex: swiper.previousIndex,
+    };
+  }
+
+  /**
+   * Re-dispatches Swiper events listed in DOM_EVENTS on the component
+   *
+   * @param {HTMLElement} component - The component element
+   * @param {Swiper} swiper - The component's Swiper instance
+   */
+  function bindDOMEvents(component, swiper) {
+    Object.keys(DOM_EVENTS).forEach(swiperEvent => {
+      swiper.on(swiperEvent, () => {
+        dispatchSwiperEvent(component, DOM_EVENTS[swiperEvent], getEventDetail(component, swiper));
+      });
+    });
+  }
+
+  /**
+   * Resolves a global function by name, supporting dotted paths
+   * Example: "analytics.trackSlide" → window.analytics.trackSlide
+   */
+  function resolveGlobalFunction(name) {
+    const fn = name.split('.').reduce((scope, key) => (scope == null ? undefined : scope[key]), window);
+    return typeof fn === 'function' ? fn : null;
+  }
+
+  /**
+   * Builds Swiper `on` handlers from data-swiper-on-* attributes
+   * Functions are looked up when the event fires, so they can be defined
+   * by scripts that load after this one.
+   *
+   * Example: data-swiper-on-slide-change="myGlobalFn"
+   *   → { slideChange: (swiper, ...args) => window.myGlobalFn(swiper, ...args) }
+   *
+   * @param {HTMLElement} component - The component element
+   * @returns {Object} Event name → handler
+   */
+  function parseEventHooks(component) {
+    const hooks = {};
+
+    Array.from(component.attributes).forEach(attr => {
+      if (!attr.name.startsWith(EVENT_HOOK_ATTR_PREFIX)) return;
+
+      const eventName = kebabToCamel(attr.name.slice(EVENT_HOOK_ATTR_PREFIX.length));
+      const fnNames = parseIdList(attr.value);
+      if (!eventName || fnNames.length === 0) return;
+
+      hooks[eventName] = function(...args) {
+        fnNames.forEach(fnName => {
+          const fn = resolveGlobalFunction(fnName);
+          if (fn) {
+            fn.apply(this, args);
+          } else {
+            log(`${attr.name}: global function "${fnName}" not found`, 'warn', component);
+          }
+        });
+      };
+    });
+
+    return hooks;
+  }
+
+  /**
+   * Combines existing `on` handlers (e.g. from a preset) with attribute hooks
+   * Both run when an event is handled by each source.
+   */
+  function mergeEventHandlers(existing, hooks) {
+    const merged = { ...(isObject(existing) ? existing : {}) };
+
+    Object.keys(hooks).forEach(eventName => {
+      const previous = merged[eventName];
+      const hook = hooks[eventName];
+
+      merged[eventName] = typeof previous === 'function'
+        ? function(...args) {
+          previous.apply(this, args);
+          hook.apply(this, args);
+        }
+        : hook;
+    });
+
+    return merged;
+  }
+
+  // ============================================================================
+  // VALIDATION (Debug Mode)
+  // ============================================================================
+
+  /**
+   * Known Swiper options and their accepted value types
+   * Types match getValueType(): number, string, boolean, object, array, null
+   */
+  const SWIPER_OPTION_SCHEMA = {
+    // Core
+    enabled: 'boolean',
+    oneWayMovement: 'boolean',
+    touchEventsTarget: 'string',
+    initialSlide: 'number',
+    speed: 'number',
+    cssMode: 'boolean',
+    updateOnWindowResize: 'boolean',
+    resizeObserver: 'boolean',
+    nested: 'boolean',
+    focusableElements: 'string',
+    width: 'number|null',
+    height: 'number|null',
+    preventInteractionOnTransition: 'boolean',
+    edgeSwipeDetection: 'boolean|string',
+    edgeSwipeThreshold: 'number',
+    autoHeight: 'boolean',
+    setWrapperSize: 'boolean',
+    virtualTranslate: 'boolean',
+    effect: 'string',
+    breakpoints: 'object',
+    breakpointsBase: 'string',
+    spaceBetween: 'number|string',
+    slidesPerView: 'number|string',
+    maxBackfaceHiddenSlides: 'number',
+    slidesPerGroup: 'number',
+    slidesPerGroupSkip: 'number',
+    slidesPerGroupAuto: 'boolean',
+    centeredSlides: 'boolean',
+    centeredSlidesBounds: 'boolean',
+    slidesOffsetBefore: 'number',
+    slidesOffsetAfter: 'number',
+    normalizeSlideIndex: 'boolean',
+    centerInsufficientSlides: 'boolean',
+    watchOverflow: 'boolean',
+    roundLengths: 'boolean',
+    touchRatio: 'number',
+    touchAngle: 'number',
+    simulateTouch: 'boolean',
+    shortSwipes: 'boolean',
+    longSwipes: 'boolean',
+    longSwipesRatio: 'number',
+    longSwipesMs: 'number',
+    followFinger: 'boolean',
+    allowTouchMove: 'boolean',
+    threshold: 'number',
+    touchMoveStopPropagation: 'boolean',
+    touchStartPreventDefault: 'boolean',
+    touchStartForcePreventDefault: 'boolean',
+    touchReleaseOnEdges: 'boolean',
+    uniqueNavElements: 'boolean',
+    resistance: 'boolean',
+    resistanceRatio: 'number',
+    watchSlidesProgress: 'boolean',
+    grabCursor: 'boolean',
+    preventClicks: 'boolean',
+    preventClicksPropagation: 'boolean',
+    slideToClickedSlide: 'boolean',
+    loop: 'boolean',
+    loopAddBlankSlides: 'boolean',
+    loopAdditionalSlides: 'number',
+    loopPreventsSliding: 'boolean',
+    rewind: 'boolean',
+    allowSlidePrev: 'boolean',
+    allowSlideNext: 'boolean',
+    swipeHandler: 'string|null',
+    noSwiping: 'boolean',
+    noSwipingClass: 'string',
+    noSwipingSelector: 'string',
+    passiveListeners: 'boolean',
+    containerModifierClass: 'string',
+    slideClass: 'string',
+    slideActiveClass: 'string',
+    slideVisibleClass: 'string',
+    slideFullyVisibleClass: 'string',
+    slideNextClass: 'string',
+    slidePrevClass: 'string',
+    slideBlankClass: 'string',
+    wrapperClass: 'string',
+    lazyPreloaderClass: 'string',
+    lazyPreloadPrevNext: 'number',
+    runCallbacksOnInit: 'boolean',
+    observer: 'boolean',
+    observeParents: 'boolean',
+    observeSlideChildren: 'boolean',
+    direction: 'string',
+    on: 'object',
+    createElements: 'boolean',
+    eventsPrefix: 'string',
+    injectStyles: 'array',
+    injectStylesUrls: 'array',
+
+    // Modules
+    a11y: 'boolean|object',
+    autoplay: 'boolean|object',
+    controller: 'object',
+    freeMode: 'boolean|object',
+    grid: 'object',
+    hashNavigation: 'boolean|object',
+    history: 'boolean|object',
+    keyboard: 'boolean|object',
+    mousewheel: 'boolean|object',
+    navigation: 'boolean|object',
+    pagination: 'boolean|object',
+    parallax: 'boolean|object',
+    scrollbar: 'boolean|object',
+    thumbs: 'object',
+    virtual: 'boolean|object',
+    zoom: 'boolean|object',
+    coverflowEffect: 'object',
+    cubeEffect: 'object',
+    fadeEffect: 'object',
+    flipEffect: 'object',
+    creativeEffect: 'object',
+    cardsEffect: 'object',
+  };
+
+  /**
+   * Accepted values for string options with a fixed set of choices
+   */
+  const SWIPER_OPTION_VALUES = {
+    direction: ['horizontal', 'vertical'],
+    effect: ['slide', 'fade', 'cube', 'coverflow', 'flip', 'creative', 'cards'],
+    touchEventsTarget: ['wrapper', 'container'],
+    breakpointsBase: ['window', 'container'],
+  };
+
+  /**
+   * Options provided by a Swiper module, mapped to the module name and the
+   * instance property the module creates. A missing property after init
+   * means the module isn't part of the loaded bundle.
+   */
+  const SWIPER_OPTION_MODULES = {
+    a11y: { module: 'A11y', property: 'a11y' },
+    autoplay: { module: 'Autoplay', property: 'autoplay' },
+    controller: { module: 'Controller', property: 'controller' },
+    freeMode: { module: 'FreeMode', property: 'freeMode' },
+    grid: { module: 'Grid', property: 'grid' },
+    keyboard: { module: 'Keyboard', property: 'keyboard' },
+    mousewheel: { module: 'Mousewheel', property: 'mousewheel' },
+    navigation: { module: 'Navigation', property: 'navigation' },
+    pagination: { module: 'Pagination', property: 'pagination' },
+    scrollbar: { module: 'Scrollbar', property: 'scrollbar' },
+    thumbs: { module: 'Thumbs', property: 'thumbs' },
+    virtual: { module: 'Virtual', property: 'virtual' },
+    zoom: { module: 'Zoom', property: 'zoom' },
+  };
+
+  /**
+   * Checks if debug output is enabled for a component
+   */
+  function isDebugEnabled(component) {
+    if (debugMode) return true;
+
+    return component.hasAttribute(DEBUG_ATTR) &&
+      parseValue(component.getAttribute(DEBUG_ATTR)) !== false;
+  }
+
+  /**
+   * Reads data-swiper-debug from <html> or <body>
+   */
+  function readGlobalDebugMode() {
+    const value = getGlobalAttribute(DEBUG_ATTR);
+
+    if (value !== null) {
+      debugMode = parseValue(value) !== false;
+    }
+  }
+
+  /**
+   * Converts camelCase to kebab-case
+   * Example: "slidesPerView" → "slides-per-view"
+   */
+  function camelToKebab(str) {
+    return str.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`);
+  }
+
+  /**
+   * Returns the type name of a parsed attribute value
+   */
+  function getValueType(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+  }
+
+  /**
+   * Levenshtein distance between two strings (used for typo suggestions)
+   */
+  function editDistance(a, b) {
+    const row = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+    for (let i = 1; i <= a.length; i++) {
+      let previous = row[0];
+      row[0] = i;
+
+      for (let j = 1; j <= b.length; j++) {
+        const current = row[j];
+        row[j] = a[i - 1] === b[j - 1]
+          ? previous
+          : Math.min(previous, row[j - 1], row[j]) + 1;
+        previous = current;
+      }
+    }
+
+    return row[b.length];
+  }
+
+  /**
+   * Finds the known option closest to an unknown one
+   *
+   * @param {string} key - Unknown camelCase option name
+   * @returns {string|null} Closest known option, if close enough
+   */
+  function suggestOption(key) {
+    const maxDistance = Math.max(2, Math.floor(key.length / 4));
+    let best = null;
+    let bestDistance = Infinity;
+
+    Object.keys(SWIPER_OPTION_SCHEMA).forEach(option => {
+      const distance = editDistance(key.toLowerCase(), option.toLowerCase());
+      if (distance < bestDistance) {
+        best = option;
+        bestDistance = distance;
+      }
+    });
+
+    return bestDistance <= maxDistance ? best : null;
+  }
+
+  /**
+   * Validates the data-swiper-* attributes of a component and logs a warning
+   * for each problem found:
+   * - Unknown options, with the closest valid name for typos
+   * - Values of the wrong type (e.g. slides-per-view="three")
+   * - Values outside a fixed set of choices (e.g. direction="sideways")
+   * - Invalid JSON, with the attribute it came from
+   *
+   * Only runs in debug mode (data-swiper-debug); invalid JSON is also
+   * reported outside it (see reportInvalidJSON).
+   *
+   * @param {HTMLElement} component - The component element
+   * @returns {Array} List of problems found (attribute + message)
+   */
+  function validateConfiguration(component) {
+    const problems = [];
+
+    Array.from(component.attributes).forEach(attr => {
+      if (!isConfigAttribute(attr.name)) return;
+
+      const baseName = stripBreakpointSuffix(attr.name);
+      const path = toConfigPath(baseName.replace(CONFIG_ATTR_PREFIX, ''));
+      const key = path[0];
+      const value = parseValue(attr.value);
+
+      if (!key) return;
+
+      // Invalid JSON falls back to the raw string
+      if (isInvalidJSON(attr.value)) {
+        problems.push({ attribute: attr.name, message: `Invalid JSON: ${attr.value}` });
+        return;
+      }
+
+      if (!(key in SWIPER_OPTION_SCHEMA)) {
+        // An option name followed by an unknown breakpoint suffix
+        const prefixOption = Object.keys(SWIPER_OPTION_SCHEMA)
+          .find(option => camelToKebab(key).startsWith(`${camelToKebab(option)}-`));
+        const suggestion = suggestOption(key);
+
+        let message = `Unknown Swiper option "${key}".`;
+        if (prefixOption) {
+          message += ` "${camelToKebab(key).slice(camelToKebab(prefixOption).length + 1)}" is not a known breakpoint suffix.`;
+        } else if (suggestion) {
+          message += ` Did you mean "${CONFIG_ATTR_PREFIX}${camelToKebab(suggestion)}" (${suggestion})?`;
+        }
+
+        problems.push({ attribute: attr.name, message });
+        return;
+      }
+
+      // Nested attributes (option--property) are checked by Swiper itself
+      if (path.length > 1) {
+        if (!SWIPER_OPTION_SCHEMA[key].split('|').includes('object')) {
+          problems.push({ attribute: attr.name, message: `Option "${key}" does not accept nested properties.` });
+        }
+        return;
+      }
+
+      const expected = SWIPER_OPTION_SCHEMA[key].split('|');
+      const actual = getValueType(value);
+      if (!expected.includes(actual)) {
+        problems.push({
+          attribute: attr.name,
+          message: `Option "${key}" expects ${expected.join(' or ')}, got ${actual} "${attr.value}".`,
+        });
+        return;
+      }
+
+      const choices = SWIPER_OPTION_VALUES[key];
+      if (choices && typeof value === 'string' && !choices.includes(value)) {
+        problems.push({
+          attribute: attr.name,
+          message: `Invalid value "${value}" for "${key}". Expected one of: ${choices.join(', ')}.`,
+        });
+      }
+    });
+
+    problems.forEach(problem => log(`${problem.attribute}: ${problem.message}`, 'warn', component));
+
+    return problems;
+  }
+
+  /**
+   * Checks if an attribute value is meant as JSON but doesn't parse
+   */
+  function isInvalidJSON(value) {
+    return /^[[{]/.test(value) && typeof parseValue(value) === 'string';
+  }
+
+  /**
+   * Warns about attribute values with invalid JSON
+   * The part of validateConfiguration() that runs outside debug mode.
+   *
+   * @param {HTMLElement} component - The component element
+   */
+  function reportInvalidJSON(component) {
+    Array.from(component.attributes).forEach(attr => {
+      if (isConfigAttribute(attr.name) && isInvalidJSON(attr.value)) {
+        log(`${attr.name}: Invalid JSON: ${attr.value}`, 'warn', component);
+      }
+    });
+  }
+
+  /**
+   * Checks if a config value turns an option on
+   */
+  function isOptionEnabled(value) {
+    if (isObject(value)) return value.enabled !== false;
+    return Boolean(value);
+  }
+
+  /**
+   * Warns about enabled options whose Swiper module is missing from the
+   * loaded bundle (e.g. a custom Swiper build without EffectCube).
+   *
+   * @param {Swiper} swiper - The initialized instance
+   * @param {Object} config - Final configuration passed to Swiper
+   */
+  function validateModules(swiper, config) {
+    Object.keys(SWIPER_OPTION_MODULES).forEach(key => {
+      const { module, property } = SWIPER_OPTION_MODULES[key];
+
+      if (isOptionEnabled(config[key]) && swiper[property] === undefined) {
+        log(`Option "${key}" requires the Swiper ${module} module, which is not in the loaded bundle.`, 'warn');
+      }
+    });
+
+    // Effect modules register default params named <effect>Effect
+    const effect = config.effect;
+    if (typeof effect === 'string' && effect !== 'slide' &&
+        swiper.params && swiper.params[`${effect}Effect`] === undefined) {
+      const module = `Effect${effect.charAt(0).toUpperCase()}${effect.slice(1)}`;
+      log(`effect="${effect}" requires the Swiper ${module} module, which is not in the loaded bundle.`, 'warn');
+    }
+  }
+
+  // ============================================================================
+  // LINKED SLIDERS (Thumbs & Controller)
+  // ============================================================================
+
+  /**
+   * Finds all components with the given data-swiper-id
+   *
+   * @param {string} id - Value of data-swiper-id
+   * @returns {HTMLElement[]} Matching components
+   */
+  function findComponentsById(id) {
+    return Array.from(document.querySelectorAll(SELECTORS.component))
+      .filter(component => component.getAttribute(LINK_ATTRS.id) === id);
+  }
+
+  /**
+   * Finds all components whose link attribute references the given ID
+   *
+   * @param {string} attrName - LINK_ATTRS.thumbsFor or LINK_ATTRS.controls
+   * @param {string} id - Referenced data-swiper-id
+   * @returns {HTMLElement[]} Matching components
+   */
+  function findComponentsLinkingTo(attrName, id) {
+    return Array.from(document.querySelectorAll(SELECTORS.component))
+      .filter(component => parseIdList(component.getAttribute(attrName)).includes(id));
+  }
+
+  /**
+   * Collects initialized Swiper instances from a list of components
+   */
+  function getInitializedInstances(components) {
+    return components
+      .map(component => component.swiperInstance)
+      .filter(instance => instance && !instance.destroyed);
+  }
+
+  /**
+   * Resolves the Swiper instances a component should be linked to at init time
+   *
+   * - thumbs: an initialized slider declaring data-swiper-thumbs-for="<this id>"
+   * - control: initialized sliders listed in this component's data-swiper-controls
+   *
+   * Sliders that are not initialized yet are connected later by connectLinkedSwipers().
+   *
+   * @param {HTMLElement} component - The component being initialized
+   * @returns {Object} Linked instances for buildSwiperConfig()
+   */
+  function resolveLinkedSwipers(component) {
+    const id = component.getAttribute(LINK_ATTRS.id);
+    const links = {
+      isThumbs: component.hasAttribute(LINK_ATTRS.thumbsFor),
+      thumbs: null,
+      control: [],
+    };
+
+    if (id) {
+      links.thumbs = getInitializedInstances(findComponentsLinkingTo(LINK_ATTRS.thumbsFor, id))[0] || null;
+    }
+
+    parseIdList(component.getAttribute(LINK_ATTRS.controls)).forEach(targetId => {
+      links.control.push(...getInitializedInstances(findComponentsById(targetId)));
+    });
+
+    return links;
+  }
+
+  /**
+   * Adds a Swiper instance to another instance's controller targets
+   */
+  function addControlTarget(swiper, target) {
+    if (!swiper.controller || swiper === target) return;
+
+    const current = swiper.controller.control;
+    const targets = Array.isArray(current) ? current : (current ? [current] : []);
+    if (targets.includes(target)) return;
+
+    swiper.controller.control = [...targets, target];
+  }
+
+  /**
+   * Removes a Swiper instance from another instance's controller targets
+   */
+  function removeControlTarget(swiper, target) {
+    if (!swiper.controller) return;
+
+    const current = swiper.controller.control;
+    if (Array.isArray(current)) {
+      const targets = current.filter(instance => instance !== target);
+      swiper.controller.control = targets.length > 0 ? targets : undefined;
+    } else if (current === target) {
+      swiper.controller.control = undefined;
+    }
+  }
+
+  /**
+   * Connects a freshly initialized component to sliders initialized before it
+   * Handles components added later through the MutationObserver, where the
+   * linked slider already exists and could not receive this instance at init.
+   *
+   * @param {HTMLElement} component - The component that was just initialized
+   */
+  function connectLinkedSwipers(component) {
+    const swiper = component.swiperInstance;
+    const id = component.getAttribute(LINK_ATTRS.id);
+
+    // This is a thumbs slider: hand it to its main slider
+    const thumbsFor = component.getAttribute(LINK_ATTRS.thumbsFor);
+    if (thumbsFor) {
+      findComponentsById(thumbsFor).forEach(mainComponent => {
+        const main = mainComponent.swiperInstance;
+        if (!main || main.destroyed || !main.thumbs || main.thumbs.swiper === swiper) return;
+
+        // Swiper's thumbs module can only be initialized once per instance,
+        // so a main slider that already had thumbs is rebuilt instead
+        if (main.thumbs.swiper) {
+          reinitializeSwiperComponent(mainComponent);
+          return;
+        }
+
+        main.params.thumbs = { ...(main.params.thumbs || {}), swiper };
+        main.thumbs.init();
+        main.thumbs.update(true);
+        log(`Thumbs slider linked to "${thumbsFor}"`, 'info', null, component);
+      });
+    }
+
+    // Sliders declaring data-swiper-controls="<this id>" start controlling this one
+    if (id) {
+      getInitializedInstances(findComponentsLinkingTo(LINK_ATTRS.controls, id))
+        .forEach(controller => addControlTarget(controller, swiper));
+    }
+  }
+
+  /**
+   * Removes a component's instance from the controller targets of other sliders
+   * Called before destroy so controllers don't drive a destroyed instance.
+   *
+   * @param {HTMLElement} component - The component being destroyed
+   */
+  function disconnectLinkedSwipers(component) {
+    const swiper = component.swiperInstance;
+    const id = component.getAttribute(LINK_ATTRS.id);
+    if (!id) return;
+
+    getInitializedInstances(findComponentsLinkingTo(LINK_ATTRS.controls, id))
+      .forEach(controller => removeControlTarget(controller, swiper));
+  }
+
+  // ============================================================================
+  // BREAKPOINT TOGGLE (Enable/Disable per Breakpoint)
+  // ============================================================================
+
+  /**
+   * Components with data-swiper-enabled attributes, re-evaluated on breakpoint change
+   */
+  const breakpointToggleComponents = new Set();
+
+  /**
+   * MediaQueryList objects for each breakpoint (created on first use)
+   */
+  let breakpointMediaQueries = null;
+
+  /**
+   * Checks if a component has any data-swiper-enabled attribute
+   */
+  function hasBreakpointToggle(component) {
+    return Array.from(component.attributes)
+      .some(attr => stripBreakpointSuffix(attr.name) === ENABLED_ATTR);
+  }
+
+  /**
+   * Resolves data-swiper-enabled for the current viewport (mobile-first cascade)
+   *
+   * Example: data-swiper-enabled-desktop="false" → enabled below 992px only
+   *
+   * @param {HTMLElement} component - The component element
+   * @returns {boolean} Whether the slider should be active right now
+   */
+  function isEnabledAtViewport(component) {
+    let enabled = true;
+
+    // Base value first, then each matching breakpoint overrides it.
+    // Base suffixes (width 0, e.g. -mobile-portrait) always match; without
+    // matchMedia only those apply.
+    if (component.hasAttribute(ENABLED_ATTR)) {
+      enabled = parseValue(component.getAttribute(ENABLED_ATTR)) !== false;
+    }
+
+    const canMatch = typeof window.matchMedia === 'function';
+
+    getBreakpointsAscending().forEach(suffix => {
+      const minWidth = breakpointMap[suffix];
+      const value = component.getAttribute(`${ENABLED_ATTR}-${suffix}`);
+      if (value === null) return;
+
+      if (minWidth === 0 || (canMatch && window.matchMedia(`(min-width: ${minWidth}px)`).matches)) {
+        enabled = parseValue(value) !== false;
+      }
+    });
+
+    return enabled;
+  }
+
+  /**
+   * Initializes or destroys watched components to match the current viewport
+   */
+  function handleBreakpointToggleChange() {
+    breakpointToggleComponents.forEach(component => {
+      // Forget components that were removed from the page
+      if (!component.isConnected) {
+        breakpointToggleComponents.delete(component);
+        return;
+      }
+
+      const enabled = isEnabledAtViewport(component);
+
+      if (!enabled && component.swiperInstance) {
+        log('Breakpoint changed, disabling slider', 'info', null, component);
+        destroySwiperComponent(component);
+      } else if (enabled && !component.hasAttribute(INITIALIZED_ATTR)) {
+        log('Breakpoint changed, enabling slider', 'info', null, component);
+        initializeSwiperComponent(component);
+      }
+    });
+  }
+
+  /**
+   * Starts watching a component's data-swiper-enabled attributes
+   * A single set of matchMedia listeners (one per Webflow breakpoint) is
+   * shared by all watched components.
+   *
+   * @param {HTMLElement} component - The component to watch
+   */
+  function watchBreakpointToggle(component) {
+    breakpointToggleComponents.add(component);
+
+    if (breakpointMediaQueries || typeof window.matchMedia !== 'function') return;
+
+    const minWidths = Array.from(new Set(Object.values(breakpointMap)))
+      .filter(minWidth => minWidth > 0);
+
+    breakpointMediaQueries = minWidths.map(minWidth => {
+      const mediaQuery = window.matchMedia(`(min-width: ${minWidth}px)`);
+      addMediaQueryListener(mediaQuery, handleBreakpointToggleChange);
+      return mediaQuery;
+    });
+  }
+
+  /**
+   * Recreates the matchMedia listeners after the breakpoint map changed
+   */
+  function resetBreakpointToggleListeners() {
+    if (!breakpointMediaQueries) return;
+
+    breakpointMediaQueries.forEach(mediaQuery => {
+      removeMediaQueryListener(mediaQuery, handleBreakpointToggleChange);
+    });
+    breakpointMediaQueries = null;
+
+    if (breakpointToggleComponents.size > 0) {
+      watchBreakpointToggle(breakpointToggleComponents.values().next().value);
+    }
+  }
+
+  /**
+   * Stops watching a component's data-swiper-enabled attributes
+   * Used when a slider is destroyed manually, so a later breakpoint change
+   * doesn't bring it back.
+   *
+   * @param {HTMLElement} component - The component to stop watching
+   */
+  function unwatchBreakpointToggle(component) {
+    breakpointToggleComponents.delete(component);
+  }
+
+  // ============================================================================
+  // LAZY INITIALIZATION (data-swiper-init="visible")
+  // ============================================================================
+
+  /**
+   * IntersectionObservers shared per root margin
+   */
+  const lazyObservers = new Map();
+
+  /**
+   * Components waiting for lazy init: component → IntersectionObserver
+   */
+  const lazyComponents = new Map();
+
+  /**
+   * Checks if a component should initialize only when visible
+   * The component attribute overrides the page-wide mode.
+   */
+  function isLazyComponent(component) {
+    const mode = component.getAttribute(INIT_MODE_ATTR) || globalInitMode;
+    return mode === 'visible';
+  }
+
+  /**
+   * Returns the IntersectionObserver for a root margin, creating it if needed
+   * Falls back to the default margin when the value is invalid.
+   */
+  function getLazyObserver(rootMargin) {
+    if (lazyObservers.has(rootMargin)) {
+      return lazyObservers.get(rootMargin);
+    }
+
+    let observer;
+    try {
+      observer = new IntersectionObserver(handleLazyIntersections, { rootMargin });
+    } catch (error) {
+      log(`Invalid ${INIT_MARGIN_ATTR} "${rootMargin}", using "${DEFAULT_INIT_MARGIN}"`, 'warn');
+      return getLazyObserver(DEFAULT_INIT_MARGIN);
+    }
+
+    lazyObservers.set(rootMargin, observer);
+    return observer;
+  }
+
+  /**
+   * Starts observing a component and initializes it once it is near the viewport
+   *
+   * @param {HTMLElement} component - The component to defer
+   * @returns {boolean} False if lazy init isn't supported (initialize eagerly)
+   */
+  function scheduleLazyInit(component) {
+    if (typeof IntersectionObserver === 'undefined') return false;
+    if (lazyComponents.has(component)) return true;
 
-    if (components.length === 0) {
-      log('No Swiper components found on page.', 'info');
-      return [];
-    }
+    const rootMargin = component.getAttribute(INIT_MARGIN_ATTR) || globalInitMargin;
+    const observer = getLazyObserver(rootMargin);
 
-    log(`Found ${components.length} Swiper component(s), initializing...`, 'info');
+    observer.observe(component);
+    lazyComponents.set(component, observer);
 
-    const instances = [];
-    components.forEach((component, index) => {
-      log(`Initializing component ${index + 1}/${components.length}`, 'info');
-      const instance = initializeSwiperComponent(component);
-      if (instance) {
-        instances.push(instance);
-      }
-    });
+    // Attributes may change while waiting; parse them again on init
+    preparedConfigs.delete(component);
 
-    log(`Successfully initialized ${instances.length} Swiper(s)`, 'success');
-    return instances;
+    return true;
   }
 
   /**
-   * Destroys a Swiper instance and removes initialization marker
-   * Useful for cleanup or reinitialization
-   *
-   * @param {HTMLElement} component - The component to destroy
+   * Stops waiting for a component to become visible
    */
-  function destroySwiperComponent(component) {
-    if (component.swiperInstance) {
-      component.swiperInstance.destroy(true, true);
-      component.removeAttribute(INITIALIZED_ATTR);
-      delete component.swiperInstance;
-      log('Swiper instance destroyed', 'info');
-    }
+  function cancelLazyInit(component) {
+    const observer = lazyComponents.get(component);
+    if (!observer) return;
+
+    observer.unobserve(component);
+    lazyComponents.delete(component);
   }
 
   /**
-   * Reinitializes a specific Swiper component
-   * Useful when content changes or configuration updates
-   *
-   * @param {HTMLElement} component - The component to reinitialize
-   * @returns {Swiper|null} New Swiper instance
+   * IntersectionObserver callback: initializes components entering the root margin
    */
-  function reinitializeSwiperComponent(component) {
-    destroySwiperComponent(component);
-    return initializeSwiperComponent(component);
+  function handleLazyIntersections(entries) {
+    entries.forEach(entry => {
+      if (!entry.isIntersecting || !lazyComponents.has(entry.target)) return;
+
+      log('Lazy component is near the viewport, initializing...', 'info', null, entry.target);
+      initializeSwiperComponent(entry.target);
+    });
   }
 
   // ============================================================================
@@ -600,8 +4908,30 @@
 
     const observer = new MutationObserver((mutations) => {
       let hasNewComponents = false;
+      let hasRemovedElements = false;
+      const wrapperComponents = getWrapperComponentMap();
+      const failedComponents = new Set();
 
       mutations.forEach((mutation) => {
+        // Slides added/removed inside an initialized wrapper (CMS Load/Filter, AJAX)
+        const slideComponent = wrapperComponents.get(mutation.target);
+        if (slideComponent) {
+          scheduleSlideSync(slideComponent);
+        }
+
+        // Content changed inside a slider that had no slides yet
+        const failedComponent = findRetryableComponent(mutation.target);
+        if (failedComponent) {
+          failedComponents.add(failedComponent);
+        }
+
+        // Removed elements may have contained initialized sliders
+        mutation.removedNodes.forEach((node) => {
+          if (node.nodeType === 1) {
+            hasRemovedElements = true;
+          }
+        });
+
         // Check added nodes for new Swiper components
         mutation.addedNodes.forEach((node) => {
           if (node.nodeType === 1) { // Element node
@@ -624,11 +4954,24 @@
         });
       });
 
+      // Destroy sliders whose markup was removed from the page
+      if (hasRemovedElements) {
+        destroyDetachedSwipers();
+      }
+
       // Initialize new components if found
       if (hasNewComponents) {
         log('New Swiper components detected, initializing...', 'info');
         initializeAllSwipers();
       }
+
+      // Retry sliders whose slides have arrived
+      failedComponents.forEach(component => {
+        if (component.isConnected && !component.hasAttribute(INITIALIZED_ATTR)) {
+          log('Content added to an empty slider, retrying...', 'info', null, component);
+          initializeSwiperComponent(component);
+        }
+      });
     });
 
     // Start observing the document body for changes
@@ -640,6 +4983,386 @@
     log('MutationObserver enabled for dynamic content detection', 'success');
   }
 
+  // ============================================================================
+  // LIVE RECONFIGURATION (Attribute Changes)
+  // ============================================================================
+
+  /**
+   * Options Swiper can't change on a live instance
+   * Changing one of these rebuilds the slider (keeping the current slide).
+   */
+  const REINIT_OPTIONS = [
+    'effect', 'direction', 'loop', 'cssMode', 'nested', 'virtualTranslate',
+    'a11y', 'controller', 'freeMode', 'grid', 'hashNavigation', 'history', 'keyboard',
+    'mousewheel', 'navigation', 'pagination', 'parallax', 'scrollbar', 'thumbs', 'virtual', 'zoom',
+    'coverflowEffect', 'cubeEffect', 'fadeEffect', 'flipEffect', 'creativeEffect', 'cardsEffect',
+  ];
+
+  /**
+   * Single observer for attribute changes on all initialized components
+   */
+  let attributeObserver = null;
+
+  /**
+   * Deep equality for parsed configuration values
+   * Plain objects and arrays are compared by content, anything else by identity.
+   */
+  function isEqualValue(a, b) {
+    if (a === b) return true;
+
+    if (Array.isArray(a) && Array.isArray(b)) {
+      return a.length === b.length && a.every((item, i) => isEqualValue(item, b[i]));
+    }
+
+    if (isObject(a) && isObject(b)) {
+      const keys = Object.keys(a);
+      return keys.length === Object.keys(b).length &&
+        keys.every(key => key in b && isEqualValue(a[key], b[key]));
+    }
+
+    return false;
+  }
+
+  /**
+   * Lists the top-level options that differ between two parsed configurations
+   * `on` handlers are skipped: hook attributes are recreated on every parse.
+   */
+  function getChangedOptions(previousConfig, nextConfig) {
+    const keys = new Set([...Object.keys(previousConfig), ...Object.keys(nextConfig)]);
+    keys.delete('on');
+
+    return Array.from(keys).filter(key => !isEqualValue(previousConfig[key], nextConfig[key]));
+  }
+
+  /**
+   * Starts observing a component's attributes
+   *
+   * @param {HTMLElement} component - The component element
+   */
+  function observeComponentAttributes(component) {
+    if (typeof MutationObserver === 'undefined') return;
+
+    if (!attributeObserver) {
+      attributeObserver = new MutationObserver(handleAttributeMutations);
+    }
+
+    attributeObserver.observe(component, { attributes: true });
+  }
+
+  /**
+   * Groups attribute mutations per component and applies them once
+   */
+  function handleAttributeMutations(mutations) {
+    const changes = new Map();
+
+    mutations.forEach(mutation => {
+      const name = mutation.attributeName;
+      if (!name || !name.startsWith(CONFIG_ATTR_PREFIX)) return;
+
+      if (!changes.has(mutation.target)) {
+        changes.set(mutation.target, new Set());
+      }
+      changes.get(mutation.target).add(name);
+    });
+
+    changes.forEach((attrNames, component) => applyAttributeChanges(component, attrNames));
+  }
+
+  /**
+   * Applies changed data-swiper-* attributes to a component
+   *
+   * - data-swiper-enabled*: enable/disable for the current breakpoint
+   * - Link and event hook attributes: rebuild the slider
+   * - Configuration and preset attributes: update in place when Swiper
+   *   supports it, rebuild otherwise (see REINIT_OPTIONS)
+   *
+   * @param {HTMLElement} component - The component element
+   * @param {Set<string>} attrNames - Changed attribute names
+   */
+  function applyAttributeChanges(component, attrNames) {
+    const names = Array.from(attrNames);
+
+    if (names.some(name => stripBreakpointSuffix(name) === ENABLED_ATTR)) {
+      if (hasBreakpointToggle(component)) {
+        watchBreakpointToggle(component);
+      }
+
+      const enabled = !hasBreakpointToggle(component) || isEnabledAtViewport(component);
+      if (!enabled && component.swiperInstance) {
+        destroySwiperComponent(component);
+        return;
+      }
+      if (enabled && !component.hasAttribute(INITIALIZED_ATTR)) {
+        initializeSwiperComponent(component);
+        return;
+      }
+    }
+
+    const swiper = component.swiperInstance;
+    if (!swiper || !component.swiperConfig) return;
+
+    const needsRebuild = names.some(name =>
+      Object.values(LINK_ATTRS).includes(name) ||
+      name.startsWith(EVENT_HOOK_ATTR_PREFIX) ||
+      isA11yLabelAttribute(name) ||
+      name === REDUCED_MOTION_ATTR ||
+      name === MEDIA_ATTR ||
+      name === LOOP_FILL_ATTR ||
+      name === FEW_SLIDES_ATTR ||
+      name === MODE_ATTR ||
+      Object.values(MARQUEE_ATTRS).includes(name) ||
+      name === URL_PARAM_ATTR ||
+      name === REMEMBER_ATTR
+    );
+    if (needsRebuild) {
+      log('Link, hook, accessibility, media, mode or slide handling attributes changed, reinitializing...', 'info', null, component);
+      reinitializeSwiperComponent(component, { preserveIndex: true });
+      return;
+    }
+
+    if (!names.some(name => isConfigAttribute(name) || name === PRESET_ATTR)) return;
+
+    const nextConfig = parseConfiguration(component);
+    const changedOptions = getChangedOptions(component.swiperConfig, nextConfig);
+    if (changedOptions.length === 0) return;
+
+    publishLayoutProperties(component, nextConfig);
+
+    const breakpointChanges = isObject(nextConfig.breakpoints)
+      ? Object.values(nextConfig.breakpoints).flatMap(values => Object.keys(values))
+      : [];
+    const requiresRebuild = changedOptions.some(key => REINIT_OPTIONS.includes(key)) ||
+      (changedOptions.includes('breakpoints') && breakpointChanges.some(key => REINIT_OPTIONS.includes(key)));
+
+    if (requiresRebuild) {
+      log(`Options changed (${changedOptions.join(', ')}), reinitializing...`, 'info', null, component);
+      reinitializeSwiperComponent(component, { preserveIndex: true });
+      return;
+    }
+
+    log(`Options changed (${changedOptions.join(', ')}), updating in place`, 'info', null, component);
+    updateSwiperParams(component, nextConfig, changedOptions);
+  }
+
+  /**
+   * Applies runtime-changeable options to a live Swiper instance
+   *
+   * @param {HTMLElement} component - The component element
+   * @param {Object} nextConfig - Newly parsed configuration
+   * @param {string[]} changedOptions - Top-level options that changed
+   */
+  function updateSwiperParams(component, nextConfig, changedOptions) {
+    const swiper = component.swiperInstance;
+    const finalConfig = buildSwiperConfig(nextConfig, component.swiperElements, resolveLinkedSwipers(component));
+
+    // Options set by the old or new breakpoints, reset to their base value
+    // below so a removed breakpoint doesn't leave its value behind
+    const breakpointKeys = new Set();
+    if (changedOptions.includes('breakpoints')) {
+      [swiper.params.breakpoints, finalConfig.breakpoints].forEach(breakpoints => {
+        if (!isObject(breakpoints)) return;
+        Object.values(breakpoints).forEach(values => {
+          if (isObject(values)) Object.keys(values).forEach(key => breakpointKeys.add(key));
+        });
+      });
+    }
+
+    changedOptions.forEach(key => {
+      // Autoplay is started/stopped instead of replaced
+      if (key === 'autoplay') {
+        updateAutoplay(swiper, finalConfig.autoplay);
+        return;
+      }
+
+      // originalParams holds the base values Swiper restores when leaving a breakpoint
+      swiper.params[key] = finalConfig[key];
+      if (swiper.originalParams) {
+        swiper.originalParams[key] = finalConfig[key];
+      }
+    });
+
+    breakpointKeys.forEach(key => {
+      if (changedOptions.includes(key)) return;
+
+      const base = finalConfig[key] !== undefined
+        ? finalConfig[key]
+        : (swiper.originalParams && swiper.originalParams[key]);
+      if (base !== undefined) {
+        swiper.params[key] = base;
+      }
+    });
+
+    // Re-apply the active breakpoint over the new base values
+    if (swiper.params.breakpoints && typeof swiper.setBreakpoint === 'function') {
+      swiper.currentBreakpoint = null;
+      swiper.setBreakpoint();
+    }
+
+    swiper.update();
+    component.swiperConfig = nextConfig;
+  }
+
+  /**
+   * Starts, stops or updates autoplay on a live instance
+   *
+   * @param {Swiper} swiper - The Swiper instance
+   * @param {Object|boolean|undefined} autoplay - New autoplay configuration
+   */
+  function updateAutoplay(swiper, autoplay) {
+    if (!swiper.autoplay) return;
+
+    if (isObject(autoplay) && autoplay.enabled !== false) {
+      swiper.params.autoplay = { ...(isObject(swiper.params.autoplay) ? swiper.params.autoplay : {}), ...autoplay, enabled: true };
+      swiper.autoplay.stop();
+      swiper.autoplay.start();
+    } else {
+      if (isObject(swiper.params.autoplay)) {
+        swiper.params.autoplay.enabled = false;
+      }
+      swiper.autoplay.stop();
+    }
+  }
+
+  // ============================================================================
+  // SLIDE SYNC (CMS Items Added, Removed or Filtered)
+  // ============================================================================
+
+  /**
+   * Delay used to batch slide mutations into a single refresh (ms)
+   * A filter swapping many items over a few ticks triggers one update.
+   */
+  const SLIDE_SYNC_DELAY = 50;
+
+  /**
+   * Pending slide sync timers: component → timeout ID
+   */
+  const slideSyncTimers = new Map();
+
+  /**
+   * Maps the wrapper element of every initialized slider to its component
+   */
+  function getWrapperComponentMap() {
+    const map = new Map();
+
+    instanceRegistry.forEach((swiper, component) => {
+      if (component.swiperElements) {
+        map.set(component.swiperElements.wrapper, component);
+      }
+    });
+
+    return map;
+  }
+
+  /**
+   * Schedules a slide sync for a component, batching repeated mutations
+   */
+  function scheduleSlideSync(component) {
+    clearTimeout(slideSyncTimers.get(component));
+
+    slideSyncTimers.set(component, setTimeout(() => {
+      slideSyncTimers.delete(component);
+      syncSlides(component);
+    }, SLIDE_SYNC_DELAY));
+  }
+
+  /**
+   * Brings an initialized slider in line with the slides currently in its wrapper
+   *
+   * - New slides get the Swiper slide class
+   * - Swiper is updated in place, or rebuilt in loop mode
+   * - The active slide is kept when it is still present
+   * - A slider left without slides is destroyed
+   *
+   * Swiper's own DOM changes (loop reordering) leave the set of slides
+   * unchanged and are ignored.
+   *
+   * @param {HTMLElement} component - The component to sync
+   */
+  function syncSlides(component) {
+    const swiper = component.swiperInstance;
+    const elements = component.swiperElements;
+    if (!swiper || swiper.destroyed || !elements || !component.isConnected) return;
+
+    const previousSlides = Array.from(elements.slides);
+    const slides = findSlides(elements.wrapper);
+
+    const unchanged = slides.length === previousSlides.length &&
+      slides.every(slide => previousSlides.includes(slide));
+    if (unchanged) return;
+
+    log(`Slides changed (${previousSlides.length} → ${slides.length}), updating...`, 'info', null, component);
+
+    // Nothing left to slide (e.g. a CMS filter without matches): stop
+    // navigation, pagination and autoplay instead of keeping an empty slider
+    if (slides.length === 0) {
+      destroySwiperComponent(component);
+      handleInitError(component, createInitError('empty', 'All slides were removed.'));
+      return;
+    }
+
+    // Remember the active slide element to restore its position
+    const activeSlide = swiper.slides ? swiper.slides[swiper.activeIndex] : null;
+    const activeIndex = slides.indexOf(activeSlide);
+
+    // Loop mode arranges slides at init, so it needs a full rebuild
+    // (also when loop is configured but was turned off for too few slides).
+    // Loop reorders the slides in the DOM, so the active slide is looked up
+    // again once the rebuild has restored their order.
+    if ((swiper.params && swiper.params.loop) || hasLoop(component.swiperConfig)) {
+      const realIndex = swiper.params && swiper.params.loop ? swiper.realIndex : swiper.activeIndex;
+      const rebuilt = reinitializeSwiperComponent(component);
+      if (!rebuilt) return;
+
+      const rebuiltSlides = component.swiperElements.slides;
+      let index = rebuiltSlides.indexOf(activeSlide);
+      if (index < 0) {
+        index = Math.min(realIndex || 0, rebuiltSlides.length - 1);
+      }
+
+      const currentIndex = rebuilt.params && rebuilt.params.loop ? rebuilt.realIndex : rebuilt.activeIndex;
+      if (index !== currentIndex) {
+        if (rebuilt.params && rebuilt.params.loop) {
+          rebuilt.slideToLoop(index, 0, false);
+        } else {
+          rebuilt.slideTo(index, 0, false);
+        }
+      }
+      return;
+    }
+
+    slides.forEach(slide => slide.classList.add(SWIPER_CLASSES.slide));
+    elements.slides = slides;
+    labelSlides(elements);
+
+    swiper.update();
+
+    if (activeIndex >= 0 && swiper.activeIndex !== activeIndex) {
+      swiper.slideTo(activeIndex, 0, false);
+    } else if (activeIndex < 0 && swiper.activeIndex >= slides.length) {
+      swiper.slideTo(slides.length - 1, 0, false);
+    }
+  }
+
+  /**
+   * Destroys registered sliders that are no longer in the document
+   * Elements moved within the page are still connected and are kept.
+   */
+  function destroyDetachedSwipers() {
+    Array.from(lazyComponents.keys()).forEach(component => {
+      if (!component.isConnected) {
+        cancelLazyInit(component);
+      }
+    });
+
+    Array.from(instanceRegistry.keys()).forEach(component => {
+      if (component.isConnected) return;
+
+      log('Swiper component removed from page, destroying...', 'info', null, component);
+      unwatchBreakpointToggle(component);
+      destroySwiperComponent(component);
+    });
+  }
+
   // ============================================================================
   // INITIALIZATION
   // ============================================================================
@@ -649,18 +5372,76 @@
    * Runs when DOM is ready and sets up all Swiper components
    */
   function init() {
+    // Enable debug output if requested on <html> or <body>
+    readGlobalDebugMode();
+
+    // Sliders stay static in the Webflow Editor/Designer (see data-swiper-editor)
+    editorActive = isEditorContext();
+
     log('Initializing Webflow Attribute-Based Swiper System...', 'info');
 
+    // Apply a custom breakpoint map declared on <html> or <body>
+    readGlobalBreakpointMap();
+
+    // Apply a page-wide lazy initialization mode
+    globalInitMode = getGlobalAttribute(INIT_MODE_ATTR) || globalInitMode;
+    globalInitMargin = getGlobalAttribute(INIT_MARGIN_ATTR) || globalInitMargin;
+
     // Initialize all existing components
-    const instances = initializeAllSwipers();
+    // (window.swiperInstances is kept in sync by the instance registry)
+    initializeAllSwipers();
 
     // Set up mutation observer for dynamic content
     setupMutationObserver();
 
-    // Expose instances globally for debugging
-    window.swiperInstances = instances;
+    // Rebuild sliders when the reduced-motion preference changes
+    watchReducedMotion();
 
+    // Stop sliders if the Webflow Editor is opened on this page later
+    watchEditor();
+
+    systemInitialized = true;
     log('System initialization complete', 'success');
+
+    // Late scripts can wait for this instead of polling window.swiperInstances
+    dispatchSwiperEvent(document, 'swiper:ready', { instances: getRegisteredInstances() });
+  }
+
+  /**
+   * Applies global options
+   * Sliders already initialized are rebuilt so they use the new settings.
+   *
+   * @param {Object} options - Global options
+   * @param {Object} [options.breakpoints] - Custom breakpoint map (suffix → min-width px)
+   * @param {boolean} [options.debug] - Enable debug logging and validation
+   * @param {string} [options.init] - "eager" or "visible" (lazy) for components
+   *   discovered from now on
+   * @param {string} [options.initMargin] - Root margin for lazy initialization
+   */
+  function configure(options = {}) {
+    if (typeof options.debug === 'boolean') {
+      debugMode = options.debug;
+    }
+
+    if (options.init === 'eager' || options.init === 'visible') {
+      globalInitMode = options.init;
+    }
+
+    if (typeof options.initMargin === 'string') {
+      globalInitMargin = options.initMargin;
+    }
+
+    if (options.breakpoints) {
+      setBreakpointMap(options.breakpoints);
+      resetBreakpointToggleListeners();
+      resetLayoutBreakpointListeners();
+
+      if (systemInitialized) {
+        document.querySelectorAll(`${SELECTORS.component}[${INITIALIZED_ATTR}]`)
+          .forEach(component => reinitializeSwiperComponent(component));
+        handleBreakpointToggleChange();
+      }
+    }
   }
 
   // ============================================================================
@@ -672,9 +5453,52 @@
    */
   window.WebflowSwiper = {
     /**
-     * Initialize all Swiper components on the page
+     * Initialize all Swiper components on the page, or within a root
+     * @param {HTMLElement|string} [rootOrSelector] - Element or selector (default: document)
+     * @param {Object} [options] - { force: true } also initializes lazy components now
+     */
+    init: function(rootOrSelector, options) {
+      const root = typeof rootOrSelector === 'string'
+        ? document.querySelector(rootOrSelector)
+        : (rootOrSelector || document);
+
+      if (!root) {
+        log('Root element not found', 'error');
+        return [];
+      }
+
+      return initializeAllSwipers(root, options);
+    },
+
+    /**
+     * Destroy all Swiper components on the page, or within a root
+     * @param {HTMLElement|string} [rootOrSelector] - Element or selector (default: document)
+     */
+    destroyAll: function(rootOrSelector) {
+      const root = typeof rootOrSelector === 'string'
+        ? document.querySelector(rootOrSelector)
+        : (rootOrSelector || document);
+
+      if (!root) {
+        log('Root element not found', 'error');
+        return 0;
+      }
+
+      return destroyAllSwipers(root);
+    },
+
+    /**
+     * Set global options, e.g. a custom breakpoint map
+     * @param {Object} options - { breakpoints: { "wide": 1600 } }
      */
-    init: initializeAllSwipers,
+    configure: configure,
+
+    /**
+     * Register a named preset for data-swiper-preset="<name>"
+     * @param {string} name - Preset name
+     * @param {Object} config - Swiper options (breakpoints may use suffix names)
+     */
+    registerPreset: registerPreset,
 
     /**
      * Initialize a specific component
@@ -707,6 +5531,7 @@
         return;
       }
 
+      unwatchBreakpointToggle(component);
       destroySwiperComponent(component);
     },
 
@@ -729,11 +5554,51 @@
 
     /**
      * Get all active Swiper instances
+     * Always current: includes sliders added later, excludes destroyed ones
      */
     getInstances: function() {
-      return window.swiperInstances || [];
+      return getRegisteredInstances();
+    },
+
+    /**
+     * Get a Swiper instance by its data-swiper-id
+     * @param {string} id - Value of data-swiper-id
+     * @returns {Swiper|null} Instance, or null if not initialized (yet)
+     */
+    get: getInstanceById,
+
+    /**
+     * Wait for a slider to be initialized, even if it is added later
+     * @param {string} id - Value of data-swiper-id
+     * @returns {Promise<Swiper>} Resolves with the instance
+     */
+    whenReady: whenInstanceReady,
+
+    /**
+     * Listen for sliders being initialized
+     * @param {Function} listener - Called with { id, swiper, component }
+     * @returns {Function} Unsubscribe function
+     */
+    onRegister: function(listener) {
+      return addRegistryListener('register', listener);
+    },
+
+    /**
+     * Listen for sliders being destroyed
+     * @param {Function} listener - Called with { id, swiper, component }
+     * @returns {Function} Unsubscribe function
+     */
+    onUnregister: function(listener) {
+      return addRegistryListener('unregister', listener);
     },
 
+    /**
+     * Listen for sliders that fail to initialize
+     * @param {Function} listener - Called with { component, id, error, reason }
+     * @returns {Function} Unsubscribe function
+     */
+    onError: addErrorListener,
+
     /**
      * Get Swiper instance from a component
      * @param {HTMLElement|string} componentOrSelector - Element or selector